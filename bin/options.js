@@ -0,0 +1,94 @@
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import { encodedCollectionResolver, hashedCollectionResolver } from '../src/y-mongodb.js';
+
+/**
+ * Parse "encoded" or "hashed[:buckets]" into one of the exported collection resolvers.
+ *
+ * @param {string} value
+ * @returns {import('../src/collection-resolver.js').CollectionResolver}
+ */
+export const parseCollectionResolver = (value) => {
+	const [name, buckets] = value.split(':');
+	if (name === 'encoded' && buckets === undefined) {
+		return encodedCollectionResolver();
+	}
+	if (name === 'hashed') {
+		return hashedCollectionResolver({
+			buckets: buckets === undefined ? undefined : Number(buckets),
+		});
+	}
+	throw new Error(`Unknown collection resolver "${value}". Use "encoded" or "hashed[:buckets]".`);
+};
+
+/**
+ * Parse "true", "days:<n>" or "clocks:<n>" into the historyRetention option.
+ *
+ * @param {string} value
+ * @returns {true | { days: number } | { clocks: number }}
+ */
+export const parseHistoryRetention = (value) => {
+	const [unit, amount] = value.split(':');
+	if (unit === 'true' && amount === undefined) {
+		return true;
+	}
+	if (unit === 'days' || unit === 'clocks') {
+		return /** @type {{ days: number } | { clocks: number }} */ ({ [unit]: Number(amount) });
+	}
+	throw new Error(`Unknown history retention "${value}". Use "true", "days:<n>" or "clocks:<n>".`);
+};
+
+/**
+ * The command line options that are passed to the constructor of MongodbPersistence.
+ */
+export const PERSISTENCE_OPTIONS = /** @type {const} */ ({
+	'collection-name': { type: 'string' },
+	'multiple-collections': { type: 'boolean' },
+	'collection-resolver': { type: 'string' },
+	'history-collection-name': { type: 'string' },
+	'history-retention': { type: 'string' },
+	options: { type: 'string' },
+});
+
+export const PERSISTENCE_OPTIONS_USAGE = `Persistence options (like the options of the MongodbPersistence constructor):
+  --collection-name <name>          Default: "yjs-writings"
+  --multiple-collections
+  --collection-resolver <resolver>  "encoded" or "hashed[:buckets]"
+  --history-collection-name <name>  Default: "<collectionName>-history"
+  --history-retention <retention>   "true", "days:<n>" or "clocks:<n>"
+  --options <file>                  JSON or JavaScript module that exports the other options
+                                    (e.g. gridFS, compression or encryption). Flags take precedence.`;
+
+/**
+ * Create the options of MongodbPersistence from the parsed command line options.
+ *
+ * @param {{ [key: string]: string | boolean | undefined }} values
+ * @returns {Promise<object>}
+ */
+export const createPersistenceOptions = async (values) => {
+	/** @type {{ [key: string]: unknown }} */
+	let options = {};
+	if (typeof values.options === 'string') {
+		const file = path.resolve(values.options);
+		options = file.endsWith('.json')
+			? JSON.parse(await fs.readFile(file, 'utf8'))
+			: { ...(await import(pathToFileURL(file).href)).default };
+	}
+	if (typeof values['collection-name'] === 'string') {
+		options.collectionName = values['collection-name'];
+	}
+	if (values['multiple-collections']) {
+		options.multipleCollections = true;
+	}
+	if (typeof values['collection-resolver'] === 'string') {
+		options.collectionResolver = parseCollectionResolver(values['collection-resolver']);
+	}
+	if (typeof values['history-collection-name'] === 'string') {
+		options.historyCollectionName = values['history-collection-name'];
+	}
+	if (typeof values['history-retention'] === 'string') {
+		options.historyRetention = parseHistoryRetention(values['history-retention']);
+	}
+	return options;
+};
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import { parseArgs } from 'util';
+import { MongodbPersistence } from '../src/y-mongodb.js';
+import { parseCollectionResolver } from './options.js';
+
+const USAGE = `Usage: y-mongodb-migrate <connectionString> --from <layout> --to <layout> [options]
+
+Copies all documents from one storage layout of y-mongodb-provider into another.
+Run it again to continue an interrupted migration.
+
+Layouts:
+  single                     All documents in one collection
+  multiple                   One collection per document (the docName is the collection name)
+  multiple:encoded           One collection per document with escaped names
+  multiple:hashed[:buckets]  Documents spread over a number of collections (default: 64)
+
+Options:
+  --from-collection <name>   collectionName of the source layout (default: "yjs-writings")
+  --to-collection <name>     collectionName of the target layout (default: "yjs-writings")
+  --quiet                    Only print the result
+  --help                     Show this message`;
+
+/**
+ * @param {string} layout
+ * @param {string} collectionName
+ * @returns {import('../src/migrate.js').Layout}
+ */
+const parseLayout = (layout, collectionName) => {
+	const [mode, ...resolver] = layout.split(':');
+	if (mode === 'single' && !resolver.length) {
+		return { collectionName, multipleCollections: false };
+	}
+	if (mode !== 'multiple') {
+		throw new Error(`Unknown layout "${layout}"`);
+	}
+	if (!resolver.length) {
+		return { collectionName, multipleCollections: true };
+	}
+	return {
+		collectionName,
+		multipleCollections: true,
+		collectionResolver: parseCollectionResolver(resolver.join(':')),
+	};
+};
+
+const main = async () => {
+	const { values, positionals } = parseArgs({
+		allowPositionals: true,
+		options: {
+			from: { type: 'string' },
+			to: { type: 'string' },
+			'from-collection': { type: 'string', default: 'yjs-writings' },
+			'to-collection': { type: 'string', default: 'yjs-writings' },
+			quiet: { type: 'boolean', default: false },
+			help: { type: 'boolean', default: false },
+		},
+	});
+	if (values.help) {
+		console.log(USAGE);
+		return 0;
+	}
+	if (positionals.length !== 1 || !values.from || !values.to) {
+		console.error(USAGE);
+		return 2;
+	}
+	const from = parseLayout(values.from, values['from-collection']);
+	const to = parseLayout(values.to, values['to-collection']);
+
+	const persistence = new MongodbPersistence(positionals[0], {
+		// the migration creates the indexes of the target collections
+		autoIndex: true,
+		errorMode: 'throw',
+	});
+	try {
+		const result = await persistence.migrateLayout({
+			from,
+			to,
+			onProgress: ({ docName, status, done, total }) => {
+				if (!values.quiet) {
+					console.log(`[${done}/${total}] ${status} ${docName}`);
+				}
+			},
+		});
+		console.log(
+			`Migrated ${result.migrated}, skipped ${result.skipped} (migrated before) and failed ${result.failed.length} of ${result.total} documents`,
+		);
+		if (result.failed.length) {
+			console.error(`The state vectors differ after copying: ${result.failed.join(', ')}`);
+			return 1;
+		}
+		return 0;
+	} finally {
+		await persistence.destroy();
+	}
+};
+
+main().then(
+	(code) => {
+		process.exitCode = code;
+	},
+	(err) => {
+		console.error(err instanceof Error ? err.message : err);
+		process.exitCode = 1;
+	},
+);
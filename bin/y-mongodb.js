@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import * as fs from 'fs/promises';
+import * as readline from 'readline';
+import { parseArgs } from 'util';
+import { Buffer } from 'buffer';
+import * as Y from 'yjs';
+import { MongodbPersistence } from '../src/y-mongodb.js';
+import {
+	PERSISTENCE_OPTIONS,
+	PERSISTENCE_OPTIONS_USAGE,
+	createPersistenceOptions,
+} from './options.js';
+
+const USAGE = `Usage: y-mongodb <connectionString> <command> [arguments] [options]
+
+Inspect and maintain the documents of y-mongodb-provider.
+
+Commands:
+  list                      List the names of all documents
+  stats <doc>               Count the updates of a document, their size and when it changed
+  flush <doc> | --all       Merge the updates of a document (or of all documents)
+  export <doc>              Write the document as one Yjs update to --output (or stdout)
+  import <doc> <file>       Store a Yjs update from a file in the document
+  clear <doc>               Delete the document and all its data
+  verify <doc>              Check that the document can be read and is consistent
+
+Options:
+  --json                    Print the result as JSON
+  --all                     flush: all documents
+  --output <file>           export: file to write the update to
+  --yes                     Dont ask for confirmation before destructive commands
+  --help                    Show this message
+
+${PERSISTENCE_OPTIONS_USAGE}`;
+
+/**
+ * Thrown for wrong usage, the command exits with code 2.
+ */
+class UsageError extends Error {}
+
+/**
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+const ask = (question) => {
+	// stdout is kept free for the output of the command
+	const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+	return new Promise((resolve) => {
+		// closing the input (ctrl+d) counts as an empty answer
+		rl.on('close', () => resolve(''));
+		rl.question(question, (answer) => {
+			resolve(answer);
+			rl.close();
+		});
+	});
+};
+
+/**
+ * Ask the user to confirm a command that cant be undone by typing $expected (e.g. the docName).
+ *
+ * @param {string} expected
+ * @param {string} action
+ * @param {boolean} yes
+ * @returns {Promise<void>}
+ */
+const confirm = async (expected, action, yes) => {
+	if (yes) {
+		return;
+	}
+	if (!process.stdin.isTTY) {
+		throw new Error(`Refusing to ${action} without confirmation. Use --yes in scripts.`);
+	}
+	const answer = await ask(`This will ${action}. Type "${expected}" to confirm: `);
+	if (answer !== expected) {
+		throw new Error('Aborted');
+	}
+};
+
+/**
+ * @param {unknown} value
+ * @param {boolean} json
+ * @param {function():string} format Text output
+ */
+const print = (value, json, format) => {
+	console.log(json ? JSON.stringify(value, null, 2) : format());
+};
+
+/**
+ * @param {string[]} args
+ * @param {number} count
+ * @param {string} usage
+ */
+const expectArgs = (args, count, usage) => {
+	if (args.length !== count) {
+		throw new UsageError(`Usage: y-mongodb <connectionString> ${usage}`);
+	}
+};
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {MongodbPersistence} persistence
+ * @property {string[]} args
+ * @property {{ [key: string]: string | boolean | undefined }} values
+ * @property {boolean} json
+ */
+
+/**
+ * The commands, they return the exit code.
+ * @type {Object<string, function(CommandContext):Promise<number>>}
+ */
+const COMMANDS = {
+	list: async ({ persistence, args, json }) => {
+		expectArgs(args, 0, 'list');
+		const docNames = await persistence.getAllDocNames();
+		print(docNames, json, () => docNames.join('\n'));
+		return 0;
+	},
+	stats: async ({ persistence, args, json }) => {
+		expectArgs(args, 1, 'stats <doc>');
+		const [docName] = args;
+		const stats = await persistence.getDocumentStats(docName);
+		print({ docName, ...stats }, json, () =>
+			Object.entries(stats)
+				.map(([key, value]) => `${key}: ${value instanceof Date ? value.toISOString() : value}`)
+				.join('\n'),
+		);
+		return 0;
+	},
+	flush: async ({ persistence, args, values, json }) => {
+		if (values.all ? args.length !== 0 : args.length !== 1) {
+			throw new UsageError('Usage: y-mongodb <connectionString> flush <doc> | --all');
+		}
+		if (values.all) {
+			await confirm('all', 'merge the updates of all documents', values.yes === true);
+		}
+		const docNames = values.all ? await persistence.getAllDocNames() : args;
+		/** @type {string[]} */
+		const flushed = [];
+		// one document at a time, so the memory usage doesnt depend on the number of documents
+		for (let i = 0; i < docNames.length; i++) {
+			// eslint-disable-next-line no-await-in-loop
+			await persistence.flushDocument(docNames[i]);
+			flushed.push(docNames[i]);
+			if (!json) {
+				console.log(`Flushed ${docNames[i]}`);
+			}
+		}
+		if (json) {
+			print({ flushed }, json, () => flushed.join('\n'));
+		}
+		return 0;
+	},
+	export: async ({ persistence, args, values, json }) => {
+		expectArgs(args, 1, 'export <doc> [--output <file>]');
+		const [docName] = args;
+		const ydoc = await persistence.getYDoc(docName);
+		const update = Y.encodeStateAsUpdate(ydoc);
+		ydoc.destroy();
+		if (typeof values.output === 'string') {
+			await fs.writeFile(values.output, update);
+			const file = values.output;
+			print(
+				{ docName, bytes: update.length, file },
+				json,
+				() => `Exported ${update.length} bytes to ${file}`,
+			);
+		} else if (json) {
+			print({ docName, update: Buffer.from(update).toString('base64') }, json, () => docName);
+		} else if (process.stdout.isTTY) {
+			throw new UsageError('Refusing to write binary data to the terminal. Use --output <file>.');
+		} else {
+			process.stdout.write(update);
+		}
+		return 0;
+	},
+	import: async ({ persistence, args, values, json }) => {
+		expectArgs(args, 2, 'import <doc> <file>');
+		const [docName, file] = args;
+		const update = new Uint8Array(await fs.readFile(file));
+		// fails for files that arent a Yjs update, before anything is stored
+		Y.encodeStateVectorFromUpdate(update);
+		await confirm(docName, `store ${file} in the document "${docName}"`, values.yes === true);
+		const clock = await persistence.storeUpdate(docName, update);
+		print(
+			{ docName, bytes: update.length, clock },
+			json,
+			() => `Imported ${update.length} bytes into ${docName} (clock ${clock})`,
+		);
+		return 0;
+	},
+	clear: async ({ persistence, args, values, json }) => {
+		expectArgs(args, 1, 'clear <doc>');
+		const [docName] = args;
+		await confirm(docName, `delete all data of the document "${docName}"`, values.yes === true);
+		await persistence.clearDocument(docName);
+		print({ cleared: docName }, json, () => `Cleared ${docName}`);
+		return 0;
+	},
+	verify: async ({ persistence, args, json }) => {
+		expectArgs(args, 1, 'verify <doc>');
+		const [docName] = args;
+		const result = await persistence.verifyDocument(docName);
+		print(result, json, () =>
+			[
+				result.valid ? `${docName} is valid` : `${docName} is invalid`,
+				...result.errors.map((error) => `error: ${error}`),
+				...result.warnings.map((warning) => `warning: ${warning}`),
+			].join('\n'),
+		);
+		return result.valid ? 0 : 1;
+	},
+};
+
+const main = async () => {
+	const { values, positionals } = parseArgs({
+		allowPositionals: true,
+		options: {
+			...PERSISTENCE_OPTIONS,
+			json: { type: 'boolean', default: false },
+			all: { type: 'boolean', default: false },
+			output: { type: 'string' },
+			yes: { type: 'boolean', default: false },
+			help: { type: 'boolean', default: false },
+		},
+	});
+	if (values.help) {
+		console.log(USAGE);
+		return 0;
+	}
+	const [connectionString, command, ...args] = positionals;
+	if (!connectionString || !command) {
+		console.error(USAGE);
+		return 2;
+	}
+	if (!Object.hasOwn(COMMANDS, command)) {
+		console.error(`Unknown command "${command}"\n\n${USAGE}`);
+		return 2;
+	}
+
+	const persistence = new MongodbPersistence(connectionString, {
+		...(await createPersistenceOptions(values)),
+		// reading a document shouldnt change it, only the flush command merges updates
+		flushSize: Number.MAX_SAFE_INTEGER,
+		errorMode: 'throw',
+	});
+	try {
+		return await COMMANDS[command]({ persistence, args, values, json: values.json === true });
+	} catch (err) {
+		if (err instanceof UsageError) {
+			console.error(err.message);
+			return 2;
+		}
+		throw err;
+	} finally {
+		await persistence.destroy();
+	}
+};
+
+main().then(
+	(code) => {
+		process.exitCode = code;
+	},
+	(err) => {
+		console.error(err instanceof Error ? err.message : err);
+		process.exitCode = 1;
+	},
+);
@@ -1,9 +1,8 @@
 require('dotenv').config();
 const http = require('http');
 const WebSocketServer = require('ws').Server;
-const Y = require('yjs');
 const { MongodbPersistence } = require('y-mongodb-provider');
-const { setPersistence, setupWSConnection } = require('./websocket/utils.js');
+const { setMongodbPersistence, setupWSConnection } = require('./websocket/utils.js');
 
 const server = http.createServer((request, response) => {
 	response.writeHead(200, { 'Content-Type': 'text/plain' });
@@ -25,22 +24,7 @@ const mdb = new MongodbPersistence(process.env.MONGO_URL, {
 	multipleCollections: true,
 });
 
-setPersistence({
-	bindState: async (docName, ydoc) => {
-		const persistedYdoc = await mdb.getYDoc(docName);
-		const newUpdates = Y.encodeStateAsUpdate(ydoc);
-		mdb.storeUpdate(docName, newUpdates);
-		Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(persistedYdoc));
-		ydoc.on('update', async (update) => {
-			mdb.storeUpdate(docName, update);
-		});
-	},
-	writeState: () => {
-		return new Promise((resolve) => {
-			resolve(true);
-		});
-	},
-});
+setMongodbPersistence(mdb);
 
 server.listen(process.env.PORT, () => {
 	// eslint-disable-next-line no-console
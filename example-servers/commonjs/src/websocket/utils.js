@@ -5,6 +5,7 @@ const awarenessProtocol = require('y-protocols/dist/awareness.cjs');
 const encoding = require('lib0/dist/encoding.cjs');
 const decoding = require('lib0/dist/decoding.cjs');
 const map = require('lib0/dist/map.cjs');
+const { createYWebsocketPersistence } = require('y-mongodb-provider');
 
 const wsReadyStateConnecting = 0;
 const wsReadyStateOpen = 1;
@@ -20,6 +21,14 @@ const setPersistence = (persistence_) => {
 	persistence = persistence_;
 };
 
+/**
+ * Store the documents in MongoDB.
+ * @param {import('y-mongodb-provider').MongodbPersistence} mdb
+ */
+const setMongodbPersistence = (mdb) => {
+	setPersistence(createYWebsocketPersistence(mdb));
+};
+
 const getPersistence = () => persistence;
 
 // exporting docs so that others can use it
@@ -202,6 +211,7 @@ const setupWSConnection = (
 
 module.exports = {
 	setPersistence,
+	setMongodbPersistence,
 	getPersistence,
 	docs,
 	getYDoc,
@@ -1,10 +1,8 @@
 import 'dotenv/config';
 import http from 'http';
 import { WebSocketServer } from 'ws';
-import * as Y from 'yjs';
 import { MongodbPersistence } from 'y-mongodb-provider';
-import { setPersistence, setupWSConnection } from './websocket/utils.mjs';
-import { IWSSharedDoc } from './websocket/interfaces.mjs';
+import { setMongodbPersistence, setupWSConnection } from './websocket/utils.mjs';
 
 const server = http.createServer((request, response) => {
 	response.writeHead(200, { 'Content-Type': 'text/plain' });
@@ -26,22 +24,7 @@ const mdb = new MongodbPersistence(process.env.MONGO_URL, {
 	multipleCollections: true,
 });
 
-setPersistence({
-	bindState: async (docName: string, ydoc: IWSSharedDoc) => {
-		const persistedYdoc = await mdb.getYDoc(docName);
-		const newUpdates = Y.encodeStateAsUpdate(ydoc);
-		mdb.storeUpdate(docName, newUpdates);
-		Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(persistedYdoc));
-		ydoc.on('update', async (update: Uint8Array) => {
-			mdb.storeUpdate(docName, update);
-		});
-	},
-	writeState: (docName: string, ydoc: IWSSharedDoc) => {
-		return new Promise((resolve) => {
-			resolve(true);
-		});
-	},
-});
+setMongodbPersistence(mdb);
 
 server.listen(process.env.PORT, () => {
 	console.log('listening on port:' + process.env.PORT);
@@ -5,6 +5,7 @@ import * as awarenessProtocol from 'y-protocols/awareness';
 import * as encoding from 'lib0/encoding';
 import * as decoding from 'lib0/decoding';
 import * as map from 'lib0/map';
+import { createYWebsocketPersistence, MongodbPersistence } from 'y-mongodb-provider';
 
 import { IPersistence, IWSSharedDoc } from './interfaces.mjs';
 
@@ -22,6 +23,13 @@ export const setPersistence = (persistence_: IPersistence) => {
 	persistence = persistence_;
 };
 
+/**
+ * Store the documents in MongoDB.
+ */
+export const setMongodbPersistence = (mdb: MongodbPersistence) => {
+	setPersistence(createYWebsocketPersistence(mdb));
+};
+
 export const getPersistence = () => persistence;
 
 // exporting docs so that others can use it
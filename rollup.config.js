@@ -1,3 +1,17 @@
+// the dependencies and the built-in modules of node (imported by their name and subpaths)
+const EXTERNALS = [
+	'lib0',
+	'yjs',
+	'mongodb',
+	'buffer',
+	'zlib',
+	'util',
+	'crypto',
+	'events',
+	'readline',
+	'async_hooks',
+];
+
 export default [
 	{
 		input: './src/y-mongodb.js',
@@ -14,6 +28,6 @@ export default [
 				return path;
 			},
 		},
-		external: (id) => /^(lib0|yjs|mongodb|buffer)/.test(id),
+		external: (id) => EXTERNALS.some((name) => id.startsWith(name)),
 	},
 ];
@@ -0,0 +1,222 @@
+import * as crypto from 'crypto';
+import { once } from 'events';
+import * as readline from 'readline';
+import { Buffer } from 'buffer';
+import { BSON } from 'mongodb';
+import { PersistenceError } from './errors.js';
+import * as U from './utils.js';
+
+/*
+	The archive is newline delimited JSON (one JSON object per line):
+	1. { type: "header", format: "y-mongodb-archive", version: 1, createdAt, since }
+	2. { type: "document", docName, update, stateVector, meta, checksum } for each document
+	3. { type: "footer", documents }
+	See the Readme for a description of the fields.
+*/
+export const ARCHIVE_FORMAT = 'y-mongodb-archive';
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Describes what an export contained, so the next export can skip unchanged documents.
+ * @typedef {Object} ArchiveManifest
+ * @property {string} format
+ * @property {number} version
+ * @property {string} createdAt
+ * @property {Object<string, string>} stateVectors The base64 encoded state vector of every
+ * document at the time of the export (also of the documents that were unchanged)
+ */
+
+/**
+ * @typedef {Object} ArchiveDocument
+ * @property {string} docName
+ * @property {Uint8Array} update All updates of the document merged into one
+ * @property {Uint8Array} stateVector
+ * @property {Object<string, any>} meta The meta values by metaKey
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {number} imported
+ * @property {number} skipped Documents that dont match the prefix
+ * @property {string[]} failed Documents whose checksum doesnt match, they are not imported
+ */
+
+/**
+ * @param {Uint8Array} value
+ * @returns {string}
+ */
+const toBase64 = (value) =>
+	Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64');
+
+/**
+ * The checksum of a document line is the SHA-256 hash of
+ * `JSON.stringify([docName, update, stateVector, meta])` with the values of the line.
+ *
+ * @param {{ docName: string, update: string, stateVector: string, meta: object }} line
+ * @returns {string}
+ */
+const computeChecksum = ({ docName, update, stateVector, meta }) =>
+	crypto
+		.createHash('sha256')
+		.update(JSON.stringify([docName, update, stateVector, meta]))
+		.digest('hex');
+
+/**
+ * Read the merged update, the state vector and the meta values of a document.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @returns {Promise<ArchiveDocument>}
+ */
+export const readArchiveDocument = async (db, docName) => {
+	const { update, sv } = U.mergeUpdates(await U.getMongoUpdates(db, docName));
+	const metaDocs = await db.find({ version: 'v1', docName, metaKey: { $exists: true } });
+	/** @type {Object<string, any>} */
+	const meta = {};
+	await Promise.all(
+		metaDocs.map(async (doc) => {
+			meta[doc.metaKey.slice('meta_'.length)] = await U.decodeMetaValue(db, doc);
+		}),
+	);
+	return { docName, update, stateVector: sv, meta };
+};
+
+/**
+ * Write a line and wait until the stream can take more, so large exports dont fill the memory.
+ *
+ * @param {NodeJS.WritableStream} stream
+ * @param {object} line
+ * @returns {Promise<void>}
+ */
+const writeLine = async (stream, line) => {
+	if (!stream.write(`${JSON.stringify(line)}\n`)) {
+		await once(stream, 'drain');
+	}
+};
+
+/**
+ * Write an archive of the documents into $stream. The stream is not ended.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {NodeJS.WritableStream} stream
+ * @param {string[]} docNames
+ * @param {ArchiveManifest} [since] Skip the documents whose state vector didnt change since
+ * this export
+ * @returns {Promise<ArchiveManifest>}
+ */
+export const exportArchive = async (db, stream, docNames, since) => {
+	if (since && (since.format !== ARCHIVE_FORMAT || typeof since.stateVectors !== 'object')) {
+		throw new PersistenceError('The manifest of the previous export is invalid');
+	}
+	const createdAt = new Date().toISOString();
+	await writeLine(stream, {
+		type: 'header',
+		format: ARCHIVE_FORMAT,
+		version: ARCHIVE_VERSION,
+		createdAt,
+		since: since ? since.createdAt : null,
+	});
+
+	/** @type {ArchiveManifest} */
+	const manifest = {
+		format: ARCHIVE_FORMAT,
+		version: ARCHIVE_VERSION,
+		createdAt,
+		stateVectors: {},
+	};
+	let documents = 0;
+	for (let i = 0; i < docNames.length; i++) {
+		const docName = docNames[i];
+		// one document at a time, so the memory usage doesnt depend on the number of documents
+		// eslint-disable-next-line no-await-in-loop
+		const doc = await readArchiveDocument(db, docName);
+		const stateVector = toBase64(doc.stateVector);
+		manifest.stateVectors[docName] = stateVector;
+		const previous = since?.stateVectors[docName];
+		if (!previous || !U.equalStateVectors(Buffer.from(previous, 'base64'), doc.stateVector)) {
+			const line = {
+				docName,
+				update: toBase64(doc.update),
+				stateVector,
+				// keeps the BSON types of the meta values (e.g. dates and binaries)
+				meta: BSON.EJSON.serialize(doc.meta, { relaxed: false }),
+			};
+			// eslint-disable-next-line no-await-in-loop
+			await writeLine(stream, { type: 'document', ...line, checksum: computeChecksum(line) });
+			documents += 1;
+		}
+	}
+	await writeLine(stream, { type: 'footer', documents });
+	return manifest;
+};
+
+/**
+ * Call $onLine with each parsed line of $stream, one at a time.
+ *
+ * @param {NodeJS.ReadableStream} stream
+ * @param {function(any):Promise<void>} onLine
+ * @returns {Promise<void>}
+ */
+const readLines = async (stream, onLine) => {
+	const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+	const iterator = lines[Symbol.asyncIterator]();
+	try {
+		let next = await iterator.next();
+		while (!next.done) {
+			if (next.value.trim()) {
+				// eslint-disable-next-line no-await-in-loop
+				await onLine(JSON.parse(next.value));
+			}
+			// eslint-disable-next-line no-await-in-loop
+			next = await iterator.next();
+		}
+	} finally {
+		lines.close();
+	}
+};
+
+/**
+ * Read an archive from $stream and pass each valid document to $onDocument, one at a time.
+ *
+ * @param {NodeJS.ReadableStream} stream
+ * @param {function(ArchiveDocument):Promise<boolean>} onDocument Returns false if the document
+ * was skipped
+ * @returns {Promise<ImportResult>}
+ */
+export const importArchive = async (stream, onDocument) => {
+	/** @type {ImportResult} */
+	const result = { imported: 0, skipped: 0, failed: [] };
+	let header = null;
+	let footer = null;
+	await readLines(stream, async (line) => {
+		if (!header) {
+			if (line.type !== 'header' || line.format !== ARCHIVE_FORMAT) {
+				throw new PersistenceError('The stream is not a y-mongodb archive');
+			}
+			if (line.version > ARCHIVE_VERSION) {
+				throw new PersistenceError(`Archives of version ${line.version} are not supported`);
+			}
+			header = line;
+		} else if (line.type === 'footer') {
+			footer = line;
+		} else if (line.type === 'document' && computeChecksum(line) !== line.checksum) {
+			result.failed.push(line.docName);
+		} else if (line.type === 'document') {
+			const imported = await onDocument({
+				docName: line.docName,
+				update: new Uint8Array(Buffer.from(line.update, 'base64')),
+				stateVector: new Uint8Array(Buffer.from(line.stateVector, 'base64')),
+				meta: BSON.EJSON.deserialize(line.meta),
+			});
+			if (imported) {
+				result.imported += 1;
+			} else {
+				result.skipped += 1;
+			}
+		}
+	});
+	if (!footer) {
+		throw new PersistenceError('The archive is incomplete, the footer is missing');
+	}
+	return result;
+};
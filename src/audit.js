@@ -0,0 +1,155 @@
+import * as Y from 'yjs';
+import { PersistenceError } from './errors.js';
+import * as U from './utils.js';
+
+/**
+ * Who made an update and where it came from.
+ * @typedef {Object} UpdateContext
+ * @property {string} [author] E.g. the id of the user
+ * @property {string} [origin] E.g. "editor", "import" or the name of a job
+ * @property {string[]} [tags]
+ */
+
+/**
+ * @typedef {Object} UpdateSummary
+ * @property {number} client The client ID
+ * @property {number} inserted Number of inserted items (characters, array elements, map entries)
+ * @property {number} deleted Number of deleted items
+ */
+
+/**
+ * @typedef {Object} UpdateLogEntry
+ * @property {number} clock The clock of the update
+ * @property {string | null} author
+ * @property {string | null} origin
+ * @property {string[]} tags
+ * @property {Date} createdAt
+ * @property {UpdateSummary[]} summary
+ */
+
+/**
+ * Count the inserted and deleted items of each client in an update.
+ *
+ * @param {Uint8Array} update
+ * @return {UpdateSummary[]} Ordered by client ID
+ */
+export const summarizeUpdate = (update) => {
+	const { structs, ds } = Y.decodeUpdate(update);
+	/** @type {Map<number, UpdateSummary>} */
+	const clients = new Map();
+	/**
+	 * @param {number} client
+	 * @return {UpdateSummary}
+	 */
+	const getSummary = (client) => {
+		let summary = clients.get(client);
+		if (!summary) {
+			summary = { client, inserted: 0, deleted: 0 };
+			clients.set(client, summary);
+		}
+		return summary;
+	};
+	structs.forEach((struct) => {
+		// skipped ranges and garbage collected items arent insertions of this update
+		if (struct instanceof Y.Item) {
+			getSummary(struct.id.client).inserted += struct.length;
+		}
+	});
+	ds.clients.forEach((deleteItems, client) => {
+		getSummary(client).deleted += deleteItems.reduce((sum, item) => sum + item.len, 0);
+	});
+	return Array.from(clients.values()).sort((a, b) => a.client - b.client);
+};
+
+/**
+ * Validate a context and get the fields that are stored with the update. Undefined values are
+ * left out.
+ *
+ * @param {UpdateContext} context
+ * @return {UpdateContext}
+ */
+const createContextFields = (context) => {
+	const { author, origin, tags } = context;
+	if (
+		(author !== undefined && typeof author !== 'string') ||
+		(origin !== undefined && typeof origin !== 'string') ||
+		(tags !== undefined && !(Array.isArray(tags) && tags.every((tag) => typeof tag === 'string')))
+	) {
+		throw new PersistenceError(
+			'The context of storeUpdate must be { author?: string, origin?: string, tags?: string[] }. Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistencestoreupdatedocname-string-update-uint8array-context--author-string-origin-string-tags-string--promise',
+		);
+	}
+	/** @type {UpdateContext} */
+	const fields = {};
+	if (author !== undefined) {
+		fields.author = author;
+	}
+	if (origin !== undefined) {
+		fields.origin = origin;
+	}
+	if (tags !== undefined) {
+		fields.tags = tags;
+	}
+	return fields;
+};
+
+/**
+ * Store an update with its context and add it to the update log. The context is stored on the
+ * update record as well, so it is moved into the history with it.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {Uint8Array} update
+ * @param {UpdateContext} context
+ * @param {import('mongodb').Document} [fields] Additional fields stored with the update
+ * @return {Promise<number>} Returns the clock of the stored update
+ */
+export const storeUpdateWithContext = async (db, docName, update, context, fields = {}) => {
+	const contextFields = createContextFields(context);
+	// decoded first, so invalid updates arent stored
+	const summary = summarizeUpdate(update);
+	const clock = await U.storeUpdate(db, docName, update, { ...fields, ...contextFields });
+	await db.putAuditEntry({ docName, clock, ...contextFields, createdAt: new Date(), summary });
+	return clock;
+};
+
+/**
+ * Get the entries of the update log of a document, ordered by their clock.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {object} opts
+ * @param {number | Date} [opts.from] The first clock or the earliest time
+ * @param {number | Date} [opts.to] The last clock or the latest time
+ * @param {string} [opts.author]
+ * @return {Promise<UpdateLogEntry[]>}
+ */
+export const getUpdateLog = async (db, docName, { from, to, author }) => {
+	/** @type {import('mongodb').Document} */
+	const filter = { docName };
+	/**
+	 * Numbers filter the clocks and dates the times.
+	 * @param {number | Date | undefined} bound
+	 * @param {'$gte' | '$lte'} operator
+	 */
+	const addBound = (bound, operator) => {
+		if (bound !== undefined) {
+			const field = bound instanceof Date ? 'createdAt' : 'clock';
+			filter[field] = { ...filter[field], [operator]: bound };
+		}
+	};
+	addBound(from, '$gte');
+	addBound(to, '$lte');
+	if (author !== undefined) {
+		filter.author = author;
+	}
+	const entries = await db.findAuditEntries(filter);
+	return entries.map((entry) => ({
+		clock: entry.clock,
+		author: entry.author ?? null,
+		origin: entry.origin ?? null,
+		tags: entry.tags ?? [],
+		createdAt: entry.createdAt,
+		summary: entry.summary,
+	}));
+};
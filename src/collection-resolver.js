@@ -0,0 +1,70 @@
+import * as crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+/**
+ * Returns the name of the collection where the records of $docName are stored. Multiple
+ * documents can share a collection, because every record contains its docName.
+ * @typedef {function(string):string} CollectionResolver
+ */
+
+/**
+ * @param {string} value
+ * @returns {string} Hex encoded SHA-256 hash of $value
+ */
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Store the documents in a fixed number of collections. The docName is hashed to pick one of
+ * the collections "<prefix>0" to "<prefix><buckets - 1>".
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.buckets] Number of collections. Default: 64
+ * @param {string} [opts.prefix] Default: "yjs-"
+ * @returns {CollectionResolver}
+ */
+export const hashedCollectionResolver = ({ buckets = 64, prefix = 'yjs-' } = {}) => {
+	if (!Number.isInteger(buckets) || buckets <= 0) {
+		throw new Error('The option "buckets" of hashedCollectionResolver must be a positive integer');
+	}
+	return (docName) => `${prefix}${parseInt(hash(docName).slice(0, 8), 16) % buckets}`;
+};
+
+/**
+ * Store each document in an own collection like `multipleCollections` does without a resolver,
+ * but escape the characters MongoDB doesnt allow in collection names ("$" and null bytes, "%"
+ * is escaped as well so the encoding is unique). Names longer than $maxLength bytes are cut and
+ * get a hash of the docName as suffix.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.prefix] Prevents names that start with "system.". Default: "yjs-"
+ * @param {number} [opts.maxLength] Default: 120
+ * @returns {CollectionResolver}
+ */
+export const encodedCollectionResolver = ({ prefix = 'yjs-', maxLength = 120 } = {}) => {
+	// the hash suffix must fit into the name
+	if (!Number.isInteger(maxLength) || maxLength < Buffer.byteLength(prefix) + 18) {
+		throw new Error(
+			'The option "maxLength" of encodedCollectionResolver is too small to fit the prefix and a hash',
+		);
+	}
+	return (docName) => {
+		const encoded = `${prefix}${docName.replace(
+			/[%$\0]/g,
+			(char) => `%${char.charCodeAt(0).toString(16).padStart(2, '0').toUpperCase()}`,
+		)}`;
+		if (Buffer.byteLength(encoded) <= maxLength) {
+			return encoded;
+		}
+		const suffix = `-${hash(docName).slice(0, 16)}`;
+		let cut = '';
+		// cut by code points, so no multi-byte character is split
+		Array.from(encoded).every((char) => {
+			if (Buffer.byteLength(cut + char + suffix) > maxLength) {
+				return false;
+			}
+			cut += char;
+			return true;
+		});
+		return cut + suffix;
+	};
+};
@@ -0,0 +1,150 @@
+/**
+ * @typedef {Object} CompactionThresholds
+ * @property {number} minUpdates Documents with at least this many updates are compacted
+ * @property {number} [minBytes] Documents whose updates are at least this large (in bytes) are
+ * compacted, even if they have less than $minUpdates updates
+ */
+
+/**
+ * @typedef {Object} CompactionCandidate
+ * @property {string} docName
+ * @property {number} updates Number of stored updates before the compaction
+ * @property {number} bytes Stored size of the updates before the compaction (without GridFS files)
+ */
+
+/**
+ * @typedef {Object} CompactionResult
+ * @property {CompactionCandidate[]} compacted
+ * @property {string[]} failed Documents that couldnt be flushed, e.g. because another server held
+ * their lock
+ * @property {number} duration
+ */
+
+/**
+ * Find the documents that should be flushed, ordered by their number of updates (most first).
+ * Documents with only one update are never returned, because flushing them wouldnt change anything.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string[]} collectionNames The collections that store documents
+ * @param {CompactionThresholds} thresholds
+ * @return {Promise<CompactionCandidate[]>}
+ */
+export const findCompactionCandidates = async (db, collectionNames, { minUpdates, minBytes }) => {
+	/** @type {import('mongodb').Document[]} */
+	const thresholds = [{ updates: { $gte: minUpdates } }];
+	if (minBytes !== undefined) {
+		thresholds.push({ bytes: { $gte: minBytes } });
+	}
+	const pipeline = [
+		{ $match: { version: 'v1', action: 'update' } },
+		// an update can be split into multiple parts
+		{
+			$group: {
+				_id: { docName: '$docName', clock: '$clock' },
+				bytes: { $sum: { $binarySize: '$value' } },
+			},
+		},
+		{ $group: { _id: '$_id.docName', updates: { $sum: 1 }, bytes: { $sum: '$bytes' } } },
+		{ $match: { updates: { $gte: 2 }, $or: thresholds } },
+	];
+	// one collection after another, so a database with many collections isnt queried all at once
+	const candidates = await collectionNames.reduce(
+		async (previous, collectionName) => [
+			...(await previous),
+			...(await db.aggregate(collectionName, pipeline)),
+		],
+		Promise.resolve(/** @type {import('mongodb').Document[]} */ ([])),
+	);
+	return candidates
+		.map((doc) => ({ docName: doc._id, updates: doc.updates, bytes: doc.bytes }))
+		.sort((a, b) => b.updates - a.updates);
+};
+
+/**
+ * Call $compact for each candidate, with at most $concurrency calls at the same time.
+ *
+ * @param {CompactionCandidate[]} candidates
+ * @param {number} concurrency
+ * @param {function(string):Promise<boolean>} compact Flushes a document and returns false if that
+ * failed
+ * @param {function():boolean} isStopped No further documents are compacted once this returns true
+ * @return {Promise<Omit<CompactionResult, 'duration'>>}
+ */
+export const compactCandidates = async (candidates, concurrency, compact, isStopped) => {
+	/** @type {CompactionResult['compacted']} */
+	const compacted = [];
+	/** @type {string[]} */
+	const failed = [];
+	const queue = candidates.slice();
+	const next = async () => {
+		const candidate = queue.shift();
+		if (!candidate || isStopped()) {
+			return;
+		}
+		if (await compact(candidate.docName).catch(() => false)) {
+			compacted.push(candidate);
+		} else {
+			failed.push(candidate.docName);
+		}
+		await next();
+	};
+	await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, next));
+	return { compacted, failed };
+};
+
+/**
+ * Runs the compaction every $intervalMs. The next run is scheduled once the previous one
+ * finished, so runs never overlap.
+ */
+export class CompactionScheduler {
+	/**
+	 * @param {number} intervalMs
+	 * @param {function(function():boolean):Promise<unknown>} run Receives a function that returns
+	 * true once the scheduler was stopped
+	 */
+	constructor(intervalMs, run) {
+		this.intervalMs = intervalMs;
+		this.run = run;
+		this.stopped = false;
+		/** @type {ReturnType<typeof setTimeout> | null} */
+		this.timeout = null;
+		/** @type {Promise<void> | null} */
+		this.running = null;
+	}
+
+	start() {
+		this.timeout = setTimeout(() => {
+			this.timeout = null;
+			this.running = this.run(() => this.stopped)
+				.then(
+					() => {},
+					(err) => {
+						// the error was already reported by the transaction
+						// eslint-disable-next-line no-console
+						console.warn('Error during the compaction', err);
+					},
+				)
+				.finally(() => {
+					this.running = null;
+					if (!this.stopped) {
+						this.start();
+					}
+				});
+		}, this.intervalMs);
+	}
+
+	/**
+	 * Stop scheduling runs. Resolves once the current run finished the documents that it was
+	 * compacting.
+	 *
+	 * @return {Promise<void>}
+	 */
+	async stop() {
+		this.stopped = true;
+		if (this.timeout) {
+			clearTimeout(this.timeout);
+			this.timeout = null;
+		}
+		await this.running;
+	}
+}
@@ -0,0 +1,63 @@
+import * as zlib from 'zlib';
+import { promisify } from 'util';
+import { PersistenceError } from './errors.js';
+
+/**
+ * @typedef {'gzip' | 'deflate' | 'brotli'} Codec
+ */
+
+/** @type {Codec[]} */
+export const CODECS = ['gzip', 'deflate', 'brotli'];
+
+/** @type {Record<Codec, function(Uint8Array):Promise<Buffer>>} */
+const compressors = {
+	gzip: promisify(zlib.gzip),
+	deflate: promisify(zlib.deflate),
+	// the default quality (11) is too slow for documents with many megabytes
+	brotli: (value) =>
+		promisify(zlib.brotliCompress)(value, {
+			params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 },
+		}),
+};
+
+/** @type {Record<Codec, function(Uint8Array):Buffer>} */
+const decompressors = {
+	gzip: zlib.gunzipSync,
+	deflate: zlib.inflateSync,
+	brotli: zlib.brotliDecompressSync,
+};
+
+/**
+ * Compress a value. Values that don't get smaller are returned uncompressed.
+ *
+ * @param {Uint8Array} value
+ * @param {Codec | null} codec
+ * @return {Promise<{ value: Uint8Array, codec: Codec | null }>} The codec is null if the value
+ * is not compressed
+ */
+export const compress = async (value, codec) => {
+	if (codec === null) {
+		return { value, codec: null };
+	}
+	const compressed = await compressors[codec](value);
+	if (compressed.length >= value.length) {
+		return { value, codec: null };
+	}
+	return { value: compressed, codec };
+};
+
+/**
+ * @param {Uint8Array} value
+ * @param {Codec | null | undefined} codec The codec marker of the stored record. Records without
+ * a marker are not compressed.
+ * @return {Uint8Array}
+ */
+export const decompress = (value, codec) => {
+	if (!codec) {
+		return value;
+	}
+	if (!decompressors[codec]) {
+		throw new PersistenceError(`Unknown compression codec "${codec}"`);
+	}
+	return decompressors[codec](value);
+};
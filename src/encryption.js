@@ -0,0 +1,86 @@
+import * as crypto from 'crypto';
+import { Buffer } from 'buffer';
+import { EncryptionError } from './errors.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * @typedef {Object} EncryptionKey
+ * @property {string} keyId Stored with every encrypted record, so the key can be found again
+ * @property {Uint8Array} key 32 bytes
+ */
+
+/**
+ * Returns the key with $keyId. If $keyId is undefined, it returns the key that should be used to
+ * encrypt new records of $docName.
+ * @typedef {function(string, string=):(EncryptionKey|Promise<EncryptionKey>)} KeyProvider
+ */
+
+/**
+ * @typedef {Object} EncryptionOptions
+ * @property {KeyProvider} keyProvider
+ */
+
+/**
+ * Get a key from the key provider and make sure it can be used for AES-256.
+ *
+ * @param {EncryptionOptions} encryption
+ * @param {string} docName
+ * @param {string} [keyId]
+ * @return {Promise<EncryptionKey>}
+ */
+export const getKey = async (encryption, docName, keyId) => {
+	const res = await encryption.keyProvider(docName, keyId);
+	if (!res || typeof res.keyId !== 'string' || !res.keyId) {
+		throw new EncryptionError(`The key provider didnt return a keyId for document "${docName}"`);
+	}
+	if (keyId !== undefined && res.keyId !== keyId) {
+		throw new EncryptionError(
+			`The key provider returned the key "${res.keyId}" instead of "${keyId}"`,
+		);
+	}
+	if (!(res.key instanceof Uint8Array) || res.key.length !== KEY_LENGTH) {
+		throw new EncryptionError(
+			`The key "${res.keyId}" must be a Uint8Array with ${KEY_LENGTH} bytes`,
+		);
+	}
+	return res;
+};
+
+/**
+ * Encrypt a value with AES-256-GCM. The name of the document is authenticated as well, so
+ * encrypted values can't be moved to other documents.
+ *
+ * @param {Uint8Array} value
+ * @param {Uint8Array} key
+ * @param {string} docName
+ * @return {Uint8Array} iv + auth tag + ciphertext
+ */
+export const encrypt = (value, key, docName) => {
+	const iv = crypto.randomBytes(IV_LENGTH);
+	const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+	cipher.setAAD(Buffer.from(docName));
+	const ciphertext = Buffer.concat([cipher.update(value), cipher.final()]);
+	return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * @param {Uint8Array} value iv + auth tag + ciphertext
+ * @param {Uint8Array} key
+ * @param {string} docName
+ * @return {Uint8Array}
+ */
+export const decrypt = (value, key, docName) => {
+	const iv = value.subarray(0, IV_LENGTH);
+	const authTag = value.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+	const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+	decipher.setAAD(Buffer.from(docName));
+	decipher.setAuthTag(authTag);
+	return Buffer.concat([
+		decipher.update(value.subarray(IV_LENGTH + AUTH_TAG_LENGTH)),
+		decipher.final(),
+	]);
+};
@@ -0,0 +1,125 @@
+/* eslint-disable max-classes-per-file */
+/**
+ * Base class of the errors thrown by y-mongodb-provider, so they can be told apart from other
+ * errors with `err instanceof PersistenceError`.
+ */
+export class PersistenceError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {unknown} [cause] The error that caused this error
+	 */
+	constructor(message, cause) {
+		super(message);
+		this.name = 'PersistenceError';
+		/** @type {unknown} */
+		this.cause = cause;
+	}
+}
+
+/**
+ * The connection object passed to the persistence is neither a connection string nor
+ * `{ client, db }`.
+ */
+export class InvalidConnectionError extends PersistenceError {
+	/**
+	 * @param {string} message
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'InvalidConnectionError';
+	}
+}
+
+/**
+ * A record couldn't be written. `cause` contains the error of MongoDB, if there is one.
+ */
+export class PersistenceWriteError extends PersistenceError {
+	/**
+	 * @param {string} message
+	 * @param {unknown} [cause]
+	 */
+	constructor(message, cause) {
+		super(message, cause);
+		this.name = 'PersistenceWriteError';
+	}
+}
+
+/**
+ * An update that was split into multiple records can't be read because one of its parts
+ * doesn't exist.
+ */
+export class MissingUpdatePartError extends PersistenceError {
+	/**
+	 * @param {string} docName
+	 * @param {number} clock
+	 * @param {number} part The missing part
+	 */
+	constructor(docName, clock, part) {
+		super(
+			`Couldnt merge the updates of document "${docName}" because part ${part} of the update with clock ${clock} is missing`,
+		);
+		this.name = 'MissingUpdatePartError';
+		this.docName = docName;
+		this.clock = clock;
+		this.part = part;
+	}
+}
+
+/**
+ * A record can't be encrypted or decrypted, e.g. because the key is missing or invalid.
+ */
+export class EncryptionError extends PersistenceError {
+	/**
+	 * @param {string} message
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'EncryptionError';
+	}
+}
+
+/**
+ * The lock of a document couldn't be acquired within `lockTimeout`.
+ */
+export class LockTimeoutError extends PersistenceError {
+	/**
+	 * @param {string} docName
+	 * @param {number} timeout
+	 */
+	constructor(docName, timeout) {
+		super(`Couldnt acquire the lock of document "${docName}" within ${timeout}ms`);
+		this.name = 'LockTimeoutError';
+		this.docName = docName;
+	}
+}
+
+/**
+ * The requested snapshot or older state of a document doesn't exist.
+ */
+export class NotFoundError extends PersistenceError {
+	/**
+	 * @param {string} message
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'NotFoundError';
+	}
+}
+
+/**
+ * The collection name of a document isnt allowed by MongoDB (e.g. it contains "$" or is too
+ * long). Use the option `collectionResolver` to map such docNames to valid names.
+ */
+export class InvalidCollectionNameError extends PersistenceError {
+	/**
+	 * @param {string} docName
+	 * @param {string} collectionName
+	 * @param {string} reason
+	 */
+	constructor(docName, collectionName, reason) {
+		super(`The collection name "${collectionName}" of document "${docName}" is invalid: ${reason}`);
+		this.name = 'InvalidCollectionNameError';
+		this.docName = docName;
+		this.collectionName = collectionName;
+	}
+}
@@ -0,0 +1,90 @@
+/**
+ * The events of MongodbPersistence. Every listener receives one event object.
+ * Sizes are in bytes and durations in milliseconds.
+ */
+
+/**
+ * @typedef {Object} UpdateStoredEvent
+ * @property {string} docName
+ * @property {number} clock
+ * @property {number} size Size of the update
+ * @property {number} storedSize Size of the stored value (after compression and encryption)
+ * @property {number} parts Number of MongoDB documents the update was split into
+ * @property {boolean} gridFS True if the update was stored in GridFS
+ * @property {number} duration
+ */
+
+/**
+ * @typedef {Object} DocumentFlushedEvent
+ * @property {string} docName
+ * @property {number} clock Clock of the merged update
+ * @property {number} mergedClock Clock of the newest update that was merged
+ * @property {number} updates Number of merged updates
+ * @property {number} size Size of the merged update
+ * @property {'auto' | 'stateVector' | 'manual' | 'compaction'} trigger "auto" if getYDoc reached
+ * flushSize, "stateVector" if getStateVector found an outdated state vector, "manual" for
+ * flushDocument and "compaction" for compactDocuments and startCompaction
+ * @property {number} duration
+ */
+
+/**
+ * @typedef {Object} DocumentClearedEvent
+ * @property {string} docName
+ * @property {number} duration
+ */
+
+/**
+ * @typedef {Object} DocumentProjectedEvent
+ * @property {string} docName
+ * @property {number} clock The clock of the newest update that is part of the projection
+ * @property {number} duration
+ */
+
+/**
+ * @typedef {import('./compaction.js').CompactionResult} CompactionCompletedEvent
+ */
+
+/**
+ * @typedef {Object} RetryEvent
+ * @property {string[]} docNames The documents of the failed bulk write
+ * @property {number} attempt The attempt that failed
+ * @property {number} retries
+ * @property {number} delay Time until the next attempt
+ * @property {Error} error
+ */
+
+/**
+ * @typedef {Object} ErrorEvent
+ * @property {string} docName The document of the failed transaction
+ * @property {unknown} error
+ */
+
+/**
+ * @typedef {Object} TransactionQueuedEvent
+ * @property {string} docName
+ * @property {number} queueLength Number of transactions of the document that didnt finish yet
+ * (including the queued one)
+ */
+
+/**
+ * @typedef {{
+ *   'update:stored': function(UpdateStoredEvent):void,
+ *   'document:flushed': function(DocumentFlushedEvent):void,
+ *   'document:cleared': function(DocumentClearedEvent):void,
+ *   'document:projected': function(DocumentProjectedEvent):void,
+ *   'compaction:completed': function(CompactionCompletedEvent):void,
+ *   retry: function(RetryEvent):void,
+ *   error: function(ErrorEvent):void,
+ *   'transaction:queued': function(TransactionQueuedEvent):void,
+ * }} PersistenceEvents
+ */
+
+/**
+ * Emits an event of MongodbPersistence.
+ * @typedef {<NAME extends keyof PersistenceEvents>(
+ *   name: NAME,
+ *   event: Parameters<PersistenceEvents[NAME]>[0],
+ * ) => void} Emit
+ */
+
+export {};
@@ -0,0 +1,120 @@
+import * as Y from 'yjs';
+import { PersistenceError } from './errors.js';
+import { isEmptyUpdate } from './utils.js';
+
+/**
+ * The parts of the Hocuspocus hook payloads that we need.
+ * @typedef {Object} HookPayload
+ * @property {string} documentName
+ * @property {Y.Doc} document
+ * @property {number} [clientsCount] Connections that are still open (onDisconnect)
+ */
+
+/**
+ * Hocuspocus extension that stores documents with a MongodbPersistence, in the same layout as
+ * `createYWebsocketPersistence`. So y-websocket and Hocuspocus servers can share a collection.
+ *
+ * @example
+ * const server = Server.configure({
+ *   extensions: [new MongodbHocuspocusExtension(mdb)],
+ * });
+ */
+export class MongodbHocuspocusExtension {
+	/**
+	 * @param {import('./y-mongodb.js').MongodbPersistence} mdb
+	 * @param {object} [opts]
+	 * @param {boolean} [opts.flushOnDisconnect] Merge the stored updates of a document once the last
+	 * client disconnected. Default: true
+	 */
+	constructor(mdb, opts = {}) {
+		const { flushOnDisconnect = true } = opts;
+		this.mdb = mdb;
+		this.flushOnDisconnect = flushOnDisconnect;
+		/**
+		 * The state vector of the content that is stored, per loaded document
+		 * @type {Map<string, Uint8Array>}
+		 */
+		this._storedStateVectors = new Map();
+		/** @type {Map<string, Promise<void>>} */
+		this._storing = new Map();
+	}
+
+	/**
+	 * Apply the stored document to the loaded document.
+	 *
+	 * @param {HookPayload} data
+	 * @return {Promise<Y.Doc>}
+	 */
+	async onLoadDocument({ documentName, document }) {
+		const persistedYdoc = await this.mdb.getYDoc(documentName);
+		// with errorMode "warn" a failed read resolves with null
+		if (!persistedYdoc) {
+			throw new PersistenceError(`Couldnt load document "${documentName}"`);
+		}
+		this._storedStateVectors.set(documentName, Y.encodeStateVector(persistedYdoc));
+		Y.applyUpdate(document, Y.encodeStateAsUpdate(persistedYdoc));
+		persistedYdoc.destroy();
+		return document;
+	}
+
+	/**
+	 * Store the content of the document that isn't stored yet. Hocuspocus calls this (debounced)
+	 * after changes, so only the diff to the last call is written.
+	 *
+	 * @param {HookPayload} data
+	 * @return {Promise<void>}
+	 */
+	onStoreDocument({ documentName, document }) {
+		const previous = this._storing.get(documentName) ?? Promise.resolve();
+		// a failed store was reported to its caller, the next store writes its diff as well
+		const storing = previous
+			.catch(() => {})
+			.then(async () => {
+				// without a state vector (the document wasn't loaded by this extension) the whole
+				// document is stored, the duplicate content is removed when the document is flushed
+				const diff = Y.encodeStateAsUpdate(document, this._storedStateVectors.get(documentName));
+				const stateVector = Y.encodeStateVector(document);
+				// with errorMode "warn" a failed store resolves with null
+				if (!isEmptyUpdate(diff) && (await this.mdb.storeUpdate(documentName, diff)) === null) {
+					return;
+				}
+				this._storedStateVectors.set(documentName, stateVector);
+			})
+			.finally(() => {
+				if (this._storing.get(documentName) === storing) {
+					this._storing.delete(documentName);
+				}
+			});
+		this._storing.set(documentName, storing);
+		return storing;
+	}
+
+	/**
+	 * Once the last client disconnected, wait for the pending writes and merge the stored updates.
+	 *
+	 * @param {HookPayload} data
+	 * @return {Promise<void>}
+	 */
+	async onDisconnect({ documentName, clientsCount }) {
+		if (clientsCount !== 0) {
+			return;
+		}
+		// failed stores were reported to onStoreDocument, the flush merges what was stored
+		await this._storing.get(documentName)?.catch(() => {});
+		if (this.flushOnDisconnect) {
+			await this.mdb.flushDocument(documentName);
+		}
+	}
+
+	/**
+	 * Forget the state vector of an unloaded document. Hocuspocus stores the document once more
+	 * before it is unloaded, so this can't happen in onDisconnect.
+	 *
+	 * @param {HookPayload} data
+	 * @return {Promise<void>}
+	 */
+	async afterUnloadDocument({ documentName }) {
+		await this._storing.get(documentName)?.catch(() => {});
+		this._storedStateVectors.delete(documentName);
+	}
+}
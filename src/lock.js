@@ -0,0 +1,165 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import * as promise from 'lib0/promise';
+import { LockTimeoutError } from './errors.js';
+
+// a lease expires when its owner stops renewing it (e.g. because the process crashed)
+const LOCK_LEASE_DURATION = 30000;
+const LOCK_RENEW_INTERVAL = LOCK_LEASE_DURATION / 3;
+const LOCK_RETRY_DELAY = 100;
+
+/**
+ * Lease locks for documents that are stored in MongoDB, so they work across processes.
+ * A lock is renewed for as long as it is held. Locks are reentrant for the caller that holds them
+ * (the async context of withLock), other callers of the same owner wait until it is released.
+ */
+export class DocumentLocks {
+	/**
+	 * @param {import('./mongo-adapter.js').MongoAdapter} db
+	 * @param {string} owner Identifies the holder of the locks
+	 * @param {number} timeout How long to wait for a lock (in ms) before giving up
+	 */
+	constructor(db, owner, timeout) {
+		this.db = db;
+		this.owner = owner;
+		this.timeout = timeout;
+		/** @type {Map<string, { count: number, token: object, renewInterval: ReturnType<typeof setInterval> }>} */
+		this.held = new Map();
+		// the tokens of the locks that the current caller holds, by docName
+		/** @type {AsyncLocalStorage<Map<string, object>>} */
+		this.holders = new AsyncLocalStorage();
+	}
+
+	/**
+	 * Whether the current caller holds the lock of a document (and not just another caller of
+	 * this owner).
+	 *
+	 * @param {string} docName
+	 * @return {boolean}
+	 */
+	isHolder(docName) {
+		const held = this.held.get(docName);
+		return (
+			held !== undefined && held.count > 0 && this.holders.getStore()?.get(docName) === held.token
+		);
+	}
+
+	/**
+	 * Acquire the lock of a document.
+	 *
+	 * @param {string} docName
+	 * @param {number} [timeout] How long to wait for the lock (in ms). Default: the timeout of
+	 * this instance
+	 * @return {Promise<boolean>} Returns false if the lock is held by someone else after $timeout
+	 */
+	async acquire(docName, timeout = this.timeout) {
+		const held = this.held.get(docName);
+		if (held && this.isHolder(docName)) {
+			held.count += 1;
+			return true;
+		}
+		const start = Date.now();
+		/** @return {Promise<boolean>} */
+		const tryAcquire = async () => {
+			// other callers of this owner wait until the holder released the lock
+			if (
+				!this.held.has(docName) &&
+				(await this.db.acquireLock(docName, this.owner, LOCK_LEASE_DURATION)) &&
+				// another caller of this owner might have acquired it in the meantime
+				!this.held.has(docName)
+			) {
+				this.held.set(docName, { count: 1, token: {}, renewInterval: this.renew(docName) });
+				return true;
+			}
+			const remaining = timeout - (Date.now() - start);
+			if (remaining <= 0) {
+				return false;
+			}
+			await promise.wait(Math.min(remaining, LOCK_RETRY_DELAY));
+			return tryAcquire();
+		};
+		return tryAcquire();
+	}
+
+	/**
+	 * Renew the lease of a lock until the returned interval is cleared.
+	 *
+	 * @param {string} docName
+	 * @return {ReturnType<typeof setInterval>}
+	 */
+	renew(docName) {
+		return setInterval(() => {
+			this.db
+				.renewLock(docName, this.owner, LOCK_LEASE_DURATION)
+				.then((renewed) => {
+					if (!renewed) {
+						// eslint-disable-next-line no-console
+						console.warn(`Lost the lock of document "${docName}"`);
+					}
+				})
+				.catch((err) => {
+					// eslint-disable-next-line no-console
+					console.warn(`Couldnt renew the lock of document "${docName}"`, err);
+				});
+		}, LOCK_RENEW_INTERVAL);
+	}
+
+	/**
+	 * Release the lock of a document.
+	 *
+	 * @param {string} docName
+	 * @return {Promise<void>}
+	 */
+	async release(docName) {
+		const held = this.held.get(docName);
+		if (!held) {
+			return;
+		}
+		held.count -= 1;
+		if (held.count === 0) {
+			clearInterval(held.renewInterval);
+			try {
+				await this.db.releaseLock(docName, this.owner);
+			} finally {
+				// the waiting callers of this owner would get the lock record before it is removed
+				this.held.delete(docName);
+			}
+		}
+	}
+
+	/**
+	 * Execute $f while holding the lock of a document. Calls from within $f (and the async
+	 * operations started by it) reenter the lock.
+	 *
+	 * @template T
+	 * @param {string} docName
+	 * @param {function():Promise<T>} f
+	 * @return {Promise<T>}
+	 */
+	async withLock(docName, f) {
+		if (!(await this.acquire(docName))) {
+			throw new LockTimeoutError(docName, this.timeout);
+		}
+		const holding = new Map(this.holders.getStore());
+		holding.set(docName, /** @type {{ token: object }} */ (this.held.get(docName)).token);
+		try {
+			return await this.holders.run(holding, f);
+		} finally {
+			await this.release(docName);
+		}
+	}
+
+	/**
+	 * Release all locks held by this instance.
+	 *
+	 * @return {Promise<void>}
+	 */
+	async releaseAll() {
+		await Promise.all(
+			Array.from(this.held.entries()).map(([docName, { renewInterval }]) => {
+				clearInterval(renewInterval);
+				this.held.delete(docName);
+				return this.db.releaseLock(docName, this.owner);
+			}),
+		);
+	}
+}
@@ -0,0 +1,168 @@
+import * as U from './utils.js';
+
+/**
+ * A storage layout, i.e. the options of MongodbPersistence that decide where documents are stored.
+ * @typedef {Object} Layout
+ * @property {string} [collectionName]
+ * @property {boolean} [multipleCollections]
+ * @property {import('./collection-resolver.js').CollectionResolver} [collectionResolver]
+ */
+
+/**
+ * @typedef {Object} MigrationProgress
+ * @property {string} docName
+ * @property {'migrated' | 'skipped' | 'failed'} status "skipped" if the document was migrated
+ * by an earlier run and "failed" if the state vectors differ after copying
+ * @property {number} done Number of documents that are done (including this one)
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {number} total
+ * @property {number} migrated
+ * @property {number} skipped
+ * @property {string[]} failed The documents whose state vectors differ after copying
+ */
+
+/**
+ * Identifies the source of a migration, so a resumed migration only skips the documents that
+ * were copied from the same layout.
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @returns {string}
+ */
+const describeLayout = (db) => `${db.multipleCollections ? 'multiple' : 'single'}:${db.collection}`;
+
+/**
+ * Get the names of all documents that are stored in the layout of $db.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string[]} excludedCollections Collections that dont store documents
+ * @returns {Promise<string[]>}
+ */
+export const getLayoutDocNames = async (db, excludedCollections) => {
+	if (!db.multipleCollections) {
+		const docNames = await db.db.collection(db.collection).distinct('docName');
+		return docNames.map(String);
+	}
+	if (db.collectionResolver) {
+		const docs = await db.getRegisteredDocuments();
+		return docs.map((doc) => doc.docName);
+	}
+	const collectionNames = await db.getCollectionNames();
+	return collectionNames.filter(
+		(name) => !excludedCollections.includes(name) && !name.startsWith('system.'),
+	);
+};
+
+/**
+ * Compute the state vector of all stored updates of a document.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @returns {Promise<Uint8Array>}
+ */
+const readStoredStateVector = async (db, docName) =>
+	U.mergeUpdates(await U.getMongoUpdates(db, docName)).sv;
+
+/**
+ * Copy the records (updates, state vector, meta values and snapshots), the clock counter
+ * (with the stats) and the update log of a document. The records keep their _id, so copying a
+ * document again overwrites the copies.
+ * The GridFS files of the records are copied as well.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} source
+ * @param {import('./mongo-adapter.js').MongoAdapter} target
+ * @param {string} docName
+ * @returns {Promise<boolean>} False if the state vectors differ after copying
+ */
+export const migrateDocument = async (source, target, docName) => {
+	const records = await source.find({ docName });
+	await target.putMany(records.filter((record) => !record.fileId));
+	// one GridFS file after another, so only one of them is in memory at a time
+	await records
+		.filter((record) => record.fileId)
+		.reduce(async (previous, record) => {
+			await previous;
+			// the file of an earlier copy is replaced (copies made by older versions reference the
+			// file of the source)
+			const earlier = await target.findOne({ docName, _id: record._id });
+			if (earlier?.fileId && !earlier.fileId.equals(record.fileId)) {
+				await target.deleteFiles([earlier.fileId]);
+			}
+			await target.putMany(await U.copyRecord(source, target, record));
+		}, Promise.resolve());
+	if (source.clockCollection !== target.clockCollection) {
+		const record = await source.getClockRecord(docName);
+		if (record) {
+			// the stats of the document are kept
+			const { _id, clock, ...stats } = record;
+			await target.incrementClock(docName, 0, clock, stats);
+		}
+	}
+	if (source.auditCollection !== target.auditCollection) {
+		await target.putAuditEntries(await source.findAuditEntries({ docName }));
+	}
+	const [sourceStateVector, targetStateVector] = await Promise.all([
+		readStoredStateVector(source, docName),
+		readStoredStateVector(target, docName),
+	]);
+	return U.equalStateVectors(sourceStateVector, targetStateVector);
+};
+
+/**
+ * Copy all documents from the layout of $source into the layout of $target, one by one.
+ * Verified documents are marked in the migration collection of $target, so an interrupted
+ * migration can be started again and continues with the remaining documents.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} source
+ * @param {import('./mongo-adapter.js').MongoAdapter} target
+ * @param {object} opts
+ * @param {string[]} opts.excludedCollections Collections that dont store documents
+ * @param {function(MigrationProgress):void} opts.onProgress
+ * @returns {Promise<MigrationResult>}
+ */
+export const migrateLayout = async (source, target, { excludedCollections, onProgress }) => {
+	const docNames = await getLayoutDocNames(source, [
+		...excludedCollections,
+		...source.getInternalCollectionNames(),
+		...target.getInternalCollectionNames(),
+		// the target collection might be in the same database
+		...(target.multipleCollections ? [] : [target.collection]),
+	]);
+	const sourceLayout = describeLayout(source);
+	/** @type {import('mongodb').Collection<{ _id: string; source: string; migratedAt: Date }>} */
+	const migrations = target.db.collection(target.migrationCollection);
+	const migratedDocs = await migrations.find({ source: sourceLayout }).toArray();
+	const migratedDocNames = new Set(migratedDocs.map((doc) => doc._id));
+
+	/** @type {MigrationResult} */
+	const result = { total: docNames.length, migrated: 0, skipped: 0, failed: [] };
+	for (let i = 0; i < docNames.length; i++) {
+		const docName = docNames[i];
+		/** @type {MigrationProgress['status']} */
+		let status = 'skipped';
+		if (migratedDocNames.has(docName)) {
+			result.skipped += 1;
+		} else {
+			// one document at a time, so the memory usage doesnt depend on the number of documents
+			// eslint-disable-next-line no-await-in-loop
+			const verified = await migrateDocument(source, target, docName);
+			if (verified) {
+				// eslint-disable-next-line no-await-in-loop
+				await migrations.updateOne(
+					{ _id: docName },
+					{ $set: { source: sourceLayout, migratedAt: new Date() } },
+					{ upsert: true },
+				);
+				result.migrated += 1;
+				status = 'migrated';
+			} else {
+				result.failed.push(docName);
+				status = 'failed';
+			}
+		}
+		onProgress({ docName, status, done: i + 1, total: docNames.length });
+	}
+	return result;
+};
@@ -1,4 +1,11 @@
-import { MongoClient } from 'mongodb';
+import { Buffer } from 'buffer';
+import { GridFSBucket, MongoClient, MongoRuntimeError, MongoServerError } from 'mongodb';
+import {
+	InvalidCollectionNameError,
+	InvalidConnectionError,
+	PersistenceError,
+	PersistenceWriteError,
+} from './errors.js';
 
 /**
  * Parse a MongoDB connection string and return the database name.
@@ -12,6 +19,56 @@ function getMongoDbDatabaseName(connectionString) {
 	return database;
 }
 
+// the queries of y-mongodb always filter by version and docName and mostly sort by clock and part
+const DOCUMENT_INDEX_KEY = { version: 1, docName: 1, action: 1, clock: 1, part: 1 };
+
+// MongoDB (since 4.4) allows at most 255 bytes for "<database>.<collection>"
+const MAX_NAMESPACE_LENGTH = 255;
+
+// indexes all strings of the projected documents, so they can be searched with $text
+/** @type {import('mongodb').IndexSpecification} */
+const PROJECTION_INDEX_KEY = { '$**': 'text' };
+
+// listDocuments finds the recently modified documents
+const CLOCK_INDEX_KEY = { updatedAt: -1 };
+
+// the update log of a document is read in the order of the clocks
+const AUDIT_INDEX_KEY = { docName: 1, clock: 1 };
+
+/**
+ * @typedef {Object} GridFSOptions
+ * @property {string} bucketName The files are stored in "<bucketName>.files" and "<bucketName>.chunks"
+ * @property {number} threshold Values larger than this (in bytes) are stored in GridFS
+ */
+
+/**
+ * @typedef {Object} ClockRecord
+ * @property {string} _id The docName
+ * @property {number} clock The clock of the newest update
+ * @property {Date} [createdAt] When the first update was stored
+ * @property {Date} [updatedAt] When the last update was stored
+ * @property {Date} [flushedAt] When the updates were merged the last time
+ * @property {number} [size] Size of the stored updates in bytes (before compression and encryption)
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} docName
+ * @property {number} clock The clock of the update
+ * @property {string} [author]
+ * @property {string} [origin]
+ * @property {string[]} [tags]
+ * @property {Date} createdAt
+ * @property {Array<{ client: number, inserted: number, deleted: number }>} summary
+ */
+
+/**
+ * @typedef {Object} IndexCheck
+ * @property {string} collection
+ * @property {boolean} missing True if the collection doesnt have the compound index of y-mongodb
+ * @property {string[]} redundant Names of indexes that are covered by the compound index
+ */
+
 export class MongoAdapter {
 	/**
 	 * Create a MongoAdapter instance.
@@ -21,10 +78,70 @@ export class MongoAdapter {
 	 * @param {boolean} opts.multipleCollections When set to true, each document gets an own
 	 * collection (instead of all documents stored in the same one).
 	 * When set to true, the option $collection gets ignored.
+	 * @param {import('./collection-resolver.js').CollectionResolver | null} [opts.collectionResolver]
+	 * Maps the docNames to their collections if multipleCollections is set. The documents are
+	 * tracked in the registry collection. Default: null (the docName is the collection name)
+	 * @param {string} [opts.registryCollection] Name of the collection that maps the docNames to
+	 * their collections if a collectionResolver is set. Default: "<collection>-registry"
+	 * @param {string} [opts.auditCollection] Name of the collection where the update log (author,
+	 * origin and tags of the updates) is stored. Default: "<collection>-audit"
+	 * @param {string} [opts.projectionCollection] Name of the collection where the JSON projections
+	 * of the documents are stored. Default: "<collection>-projection"
+	 * @param {string} [opts.clockCollection] Name of the collection where the clock counters of all
+	 * documents are stored. Default: "<collection>-clocks"
+	 * @param {string} [opts.lockCollection] Name of the collection where the locks of all
+	 * documents are stored. Default: "<collection>-locks"
+	 * @param {boolean} [opts.autoIndex] When set to true, the compound index of y-mongodb is created
+	 * the first time a collection is written. Default: false
+	 * @param {GridFSOptions | null} [opts.gridFS] When set, large values are stored in GridFS and
+	 * the documents only reference the file (`fileId`). Default: null
+	 * @param {import('./compression.js').Codec | null} [opts.compression] Codec that is used to
+	 * compress binary values. Default: null
+	 * @param {import('./encryption.js').EncryptionOptions | null} [opts.encryption] When set,
+	 * binary values and meta values are encrypted. Default: null
+	 * @param {import('./events.js').Emit} [opts.emit] Receives the events that happen while
+	 * working with this adapter. Default: events are ignored
+	 * @param {boolean} [opts.closeClient] Close the client in `close` and `flush`. Disable this if
+	 * the client is shared with others. Default: true
 	 */
-	constructor(dbConnection, { collection, multipleCollections }) {
+	constructor(
+		dbConnection,
+		{
+			collection,
+			multipleCollections,
+			collectionResolver = null,
+			registryCollection,
+			projectionCollection,
+			auditCollection,
+			clockCollection,
+			lockCollection,
+			autoIndex = false,
+			gridFS = null,
+			compression = null,
+			encryption = null,
+			emit = () => {},
+			closeClient = true,
+		},
+	) {
 		this.collection = collection;
 		this.multipleCollections = multipleCollections;
+		this.collectionResolver = collectionResolver;
+		// { _id: docName, collection: string, createdAt: Date } - the collection of each document
+		this.registryCollection = registryCollection ?? `${collection}-registry`;
+		// { _id: docName, source: string, migratedAt: Date } - documents migrated into this layout
+		this.migrationCollection = `${collection}-migration`;
+		// { _id: docName, content: object, clock: number, updatedAt: Date } - see option projection
+		this.projectionCollection = projectionCollection ?? `${collection}-projection`;
+		// AuditEntry - the update log, which isnt affected by flushes
+		this.auditCollection = auditCollection ?? `${collection}-audit`;
+		this.autoIndex = autoIndex;
+		/** @type {Map<string, Promise<void>>} collections whose index was (or is being) created */
+		this._indexedCollections = new Map();
+		// { _id: docName, clock: number, ...stats } - hands out the clocks of new updates and tracks
+		// when the documents changed (see ClockRecord)
+		this.clockCollection = clockCollection ?? `${collection}-clocks`;
+		// { _id: docName, owner: string, expiresAt: Date } - lease locks of documents
+		this.lockCollection = lockCollection ?? `${collection}-locks`;
 
 		if (typeof dbConnection === 'string') {
 			// Connection string logic
@@ -36,11 +153,18 @@ export class MongoAdapter {
 			this.client = dbConnection.client;
 			this.db = dbConnection.db;
 		} else {
-			throw new Error(
+			throw new InvalidConnectionError(
 				'Invalid dbConnection. Must be a connection string or an object with client and db.',
 			);
 		}
 
+		this.compression = compression;
+		this.encryption = encryption;
+		this.gridFS = gridFS;
+		this.emit = emit;
+		this.closeClient = closeClient;
+		this._bucket = gridFS ? new GridFSBucket(this.db, { bucketName: gridFS.bucketName }) : null;
+
 		/*
 			NOTE: client.connect() is optional since v4.7
 			"However, MongoClient.connect can still be called manually and remains useful for
@@ -58,26 +182,248 @@ export class MongoAdapter {
 	 */
 	_getCollectionName({ docName }) {
 		if (this.multipleCollections) {
-			return docName;
+			const collectionName = this.collectionResolver ? this.collectionResolver(docName) : docName;
+			this._validateCollectionName(docName, collectionName);
+			return collectionName;
 		} else {
 			return this.collection;
 		}
 	}
 
+	/**
+	 * Throw if MongoDB doesnt allow $collectionName, instead of failing somewhere in the driver.
+	 * @param {string} docName
+	 * @param {string} collectionName
+	 */
+	_validateCollectionName(docName, collectionName) {
+		/** @type {string | null} */
+		let reason = null;
+		if (typeof collectionName !== 'string' || !collectionName) {
+			reason = 'it is empty';
+		} else if (collectionName.includes('$') || collectionName.includes('\0')) {
+			reason = 'it contains "$" or a null byte';
+		} else if (collectionName.startsWith('system.')) {
+			reason = 'it starts with "system."';
+		} else if (
+			Buffer.byteLength(`${this.db.databaseName}.${collectionName}`) > MAX_NAMESPACE_LENGTH
+		) {
+			reason = `"<database>.<collection>" is longer than ${MAX_NAMESPACE_LENGTH} bytes`;
+		}
+		if (reason) {
+			throw new InvalidCollectionNameError(docName, String(collectionName), reason);
+		}
+	}
+
+	/**
+	 * @returns {import('mongodb').Collection<{ _id: string; collection: string; createdAt: Date }>}
+	 */
+	_getRegistryCollection() {
+		return this.db.collection(this.registryCollection);
+	}
+
+	/**
+	 * Remember the collection of each document in the registry collection (if a collectionResolver
+	 * is set), so the documents can be listed. The entries are upserted with every write and not
+	 * cached, because other instances might have unregistered a document in the meantime.
+	 * @param {Array<import('mongodb').Filter<import('mongodb').Document>>} queries
+	 * @returns {Promise<void>}
+	 */
+	async _registerDocuments(queries) {
+		if (!this.multipleCollections || !this.collectionResolver) {
+			return;
+		}
+		/** @type {Map<string, string>} */
+		const documents = new Map();
+		queries.forEach((query) => {
+			documents.set(query.docName, this._getCollectionName(query));
+		});
+		if (!documents.size) {
+			return;
+		}
+		// registered before the records are written, so no stored document is missing in the list
+		await this._getRegistryCollection().bulkWrite(
+			Array.from(documents.entries()).map(([docName, collectionName]) => ({
+				updateOne: {
+					filter: { _id: docName },
+					update: {
+						$set: { collection: collectionName },
+						$setOnInsert: { createdAt: new Date() },
+					},
+					upsert: true,
+				},
+			})),
+			{ ordered: false },
+		);
+	}
+
+	/**
+	 * Get the documents of the registry collection.
+	 * @returns {Promise<Array<{ docName: string, collection: string }>>}
+	 */
+	async getRegisteredDocuments() {
+		const docs = await this._getRegistryCollection().find({}).toArray();
+		return docs.map((doc) => ({ docName: doc._id, collection: doc.collection }));
+	}
+
+	/**
+	 * Remove a document from the registry collection.
+	 * @param {string} docName
+	 * @returns {Promise<void>}
+	 */
+	async unregisterDocument(docName) {
+		await this._getRegistryCollection().deleteOne({ _id: docName });
+	}
+
+	/**
+	 * @returns {import('mongodb').Collection<{ _id: string; content: object; clock: number; updatedAt: Date }>}
+	 */
+	_getProjectionCollection() {
+		return this.db.collection(this.projectionCollection);
+	}
+
+	/**
+	 * Store the projection of a document, unless a projection of a newer clock is stored already
+	 * (e.g. by another server).
+	 * @param {string} docName
+	 * @param {object} content
+	 * @param {number} clock
+	 * @returns {Promise<void>}
+	 */
+	async putProjection(docName, content, clock) {
+		await this._prepareCollection(this.projectionCollection, PROJECTION_INDEX_KEY);
+		try {
+			await this._getProjectionCollection().updateOne(
+				{ _id: docName, clock: { $lte: clock } },
+				{ $set: { content, clock, updatedAt: new Date() } },
+				{ upsert: true },
+			);
+		} catch (err) {
+			// the filter didnt match because the stored projection is newer, so the upsert failed
+			if (!(err instanceof MongoServerError && err.code === 11000)) {
+				throw err;
+			}
+		}
+	}
+
+	/**
+	 * @param {string} docName
+	 * @returns {Promise<void>}
+	 */
+	async deleteProjection(docName) {
+		await this._getProjectionCollection().deleteOne({ _id: docName });
+	}
+
+	/**
+	 * Find projections of documents. Results of $text queries are sorted by their relevance,
+	 * the others by docName.
+	 * @param {import('mongodb').Filter<import('mongodb').Document>} query
+	 * @param {{ limit?: number }} [options]
+	 * @returns {Promise<import('./projection.js').ProjectedDocument[]>}
+	 */
+	async findProjections(query, { limit = 0 } = {}) {
+		const textScore = query.$text ? { score: { $meta: 'textScore' } } : undefined;
+		const docs = await this._getProjectionCollection()
+			.find(/** @type {import('mongodb').Filter<any>} */ (query), {
+				limit,
+				projection: textScore,
+				sort: textScore ?? { _id: 1 },
+			})
+			.toArray();
+		return docs.map((doc) => ({
+			docName: doc._id,
+			content: doc.content,
+			clock: doc.clock,
+			updatedAt: doc.updatedAt,
+		}));
+	}
+
+	/**
+	 * Create the text index of the projection collection (if it doesnt exist yet).
+	 * @returns {Promise<void>}
+	 */
+	async ensureProjectionIndex() {
+		await this._getProjectionCollection().createIndex(PROJECTION_INDEX_KEY);
+		this._indexedCollections.set(this.projectionCollection, Promise.resolve());
+	}
+
+	/**
+	 * @returns {import('mongodb').Collection<AuditEntry>}
+	 */
+	_getAuditCollection() {
+		return this.db.collection(this.auditCollection);
+	}
+
+	/**
+	 * Add an entry to the update log.
+	 * @param {AuditEntry} entry
+	 * @returns {Promise<void>}
+	 */
+	async putAuditEntry(entry) {
+		await this._prepareCollection(this.auditCollection, AUDIT_INDEX_KEY);
+		await this._getAuditCollection().insertOne(entry);
+	}
+
+	/**
+	 * Store entries of the update log with their _id, e.g. copies of another collection.
+	 * Entries that exist already are replaced.
+	 * @param {import('mongodb').WithId<AuditEntry>[]} entries
+	 * @returns {Promise<void>}
+	 */
+	async putAuditEntries(entries) {
+		if (!entries.length) {
+			return;
+		}
+		await this._prepareCollection(this.auditCollection, AUDIT_INDEX_KEY);
+		await this._getAuditCollection().bulkWrite(
+			entries.map((entry) => ({
+				replaceOne: { filter: { _id: entry._id }, replacement: entry, upsert: true },
+			})),
+			{ ordered: false },
+		);
+	}
+
+	/**
+	 * Find entries of the update log, ordered by their clock.
+	 * @param {import('mongodb').Filter<AuditEntry>} filter
+	 * @returns {Promise<import('mongodb').WithId<AuditEntry>[]>}
+	 */
+	findAuditEntries(filter) {
+		return this._getAuditCollection()
+			.find(filter, { sort: { clock: 1 } })
+			.toArray();
+	}
+
+	/**
+	 * @param {string} docName
+	 * @returns {Promise<void>}
+	 */
+	async deleteAuditEntries(docName) {
+		await this._getAuditCollection().deleteMany({ docName });
+	}
+
+	/**
+	 * Create the index of the audit collection (if it doesnt exist yet).
+	 * @returns {Promise<void>}
+	 */
+	async ensureAuditIndex() {
+		await this._getAuditCollection().createIndex(AUDIT_INDEX_KEY);
+		this._indexedCollections.set(this.auditCollection, Promise.resolve());
+	}
+
 	/**
 	 *
 	 * @param {import('mongodb').Filter<import('mongodb').Document>} query
-	 * @param {{limit?: number; reverse?: boolean;}} [options]
+	 * @param {{limit?: number; reverse?: boolean; projection?: import('mongodb').Document;}} [options]
 	 * @returns {Promise<import('mongodb').WithId<import('mongodb').Document>[]>}
 	 */
 	find(query, options) {
-		const { limit = 0, reverse = false } = options || {};
+		const { limit = 0, reverse = false, projection } = options || {};
 
 		/** @type {{ clock: 1 | -1, part: 1 | -1 }} */
 		const sortQuery = reverse ? { clock: -1, part: 1 } : { clock: 1, part: 1 };
 
 		const collection = this.db.collection(this._getCollectionName(query));
-		return collection.find(query, { limit, sort: sortQuery }).toArray();
+		return collection.find(query, { limit, sort: sortQuery, projection }).toArray();
 	}
 
 	/**
@@ -90,6 +436,16 @@ export class MongoAdapter {
 		return this.find(query, options).then((docs) => docs[0] || null);
 	}
 
+	/**
+	 * Run an aggregation pipeline on a collection.
+	 * @param {string} collectionName
+	 * @param {import('mongodb').Document[]} pipeline
+	 * @returns {Promise<import('mongodb').Document[]>}
+	 */
+	aggregate(collectionName, pipeline) {
+		return this.db.collection(collectionName).aggregate(pipeline).toArray();
+	}
+
 	/**
 	 * Store one document in MongoDB.
 	 * @param {import('mongodb').Filter<import('mongodb').Document>} query
@@ -97,86 +453,290 @@ export class MongoAdapter {
 	 * @returns {Promise<import('mongodb').WithId<import('mongodb').Document> | null>} Stored document
 	 */
 	async put(query, values) {
-		if (!query.docName || !query.version || !values.value) {
-			throw new Error('Document and version must be provided');
+		if (!query.docName || !query.version || (!values.value && !values.fileId)) {
+			throw new PersistenceWriteError('Document and version must be provided');
 		}
 
-		const collection = this.db.collection(this._getCollectionName(query));
+		const collectionName = this._getCollectionName(query);
+		await this._prepareCollection(collectionName);
+		await this._registerDocuments([query]);
+		const collection = this.db.collection(collectionName);
 
-		await collection.updateOne(query, { $set: values }, { upsert: true });
+		// fields that are set to undefined are removed
+		/** @type {import('mongodb').Document} */
+		const $set = {};
+		/** @type {import('mongodb').Document} */
+		const $unset = {};
+		Object.entries(values).forEach(([field, value]) => {
+			if (value === undefined) {
+				$unset[field] = '';
+			} else {
+				$set[field] = value;
+			}
+		});
+		const update = Object.keys($unset).length ? { $set, $unset } : { $set };
+		await collection.updateOne(query, update, { upsert: true });
 		return this.findOne(query);
 	}
 
 	/**
-	 * Store and update multiple documents in MongoDB using key-value pairs.
-	 * @param {Object<string, {query: import('mongodb').UpdateFilter<import('mongodb').Document>, value: import('mongodb').UpdateFilter<import('mongodb').Document>}>} updateMap - Object containing key-value pairs of queries and update values
-	 * @returns {Promise<import('mongodb').BulkWriteResult>} Result of the bulk write operation
+	 * @returns {import('mongodb').Collection<ClockRecord>}
 	 */
-	async bulkPut(updateMap) {
-		const bulkOps = Object.entries(updateMap).map(([_, { query, value }]) => {
-			if (!query.docName || !query.version || !value.value) {
-				throw new Error('Document and version must be provided for each entry');
-			}
+	_getClockCollection() {
+		return this.db.collection(this.clockCollection);
+	}
 
-			return {
-				updateOne: {
-					filter: query,
-					update: { $set: value },
-					upsert: true,
-				},
-			};
-		});
+	/**
+	 * Atomically increment the clock counter of a document and return the new clock.
+	 * @param {string} docName
+	 * @param {number} amount
+	 * @param {number} [initialClock] When set, the counter is created if it doesnt exist yet.
+	 * The new clock is never less than $initialClock + $amount.
+	 * @param {import('mongodb').Document} [fields] Aggregation expressions of other fields of the
+	 * clock record that are set in the same write (e.g. the stats of the document)
+	 * @returns {Promise<number | null>} Returns null if the counter doesnt exist
+	 */
+	async incrementClock(docName, amount, initialClock, fields = {}) {
+		const collection = this._getClockCollection();
+		if (Object.keys(fields).length) {
+			await this._prepareCollection(this.clockCollection, CLOCK_INDEX_KEY);
+		}
 
-		const collection = this.db.collection(
-			this._getCollectionName(Object.values(updateMap)[0].query),
-		);
+		if (initialClock === undefined) {
+			const doc = await collection.findOneAndUpdate(
+				{ _id: docName },
+				[{ $set: { clock: { $add: ['$clock', amount] }, ...fields } }],
+				{ returnDocument: 'after' },
+			);
+			return doc ? doc.clock : null;
+		}
+
+		// an update pipeline is used, so initializing and incrementing is a single atomic operation
+		// ($max ignores the clock if it doesnt exist yet)
+		const update = [
+			{ $set: { clock: { $add: [{ $max: ['$clock', initialClock] }, amount] }, ...fields } },
+		];
 		try {
-			const result = await collection.bulkWrite(bulkOps);
-			return result;
-		} catch (error) {
-			throw error;
+			const doc = await collection.findOneAndUpdate({ _id: docName }, update, {
+				upsert: true,
+				returnDocument: 'after',
+			});
+			return doc ? doc.clock : null;
+		} catch (err) {
+			// another process created the counter at the same time
+			if (err instanceof MongoServerError && err.code === 11000) {
+				return this.incrementClock(docName, amount, undefined, fields);
+			}
+			throw err;
 		}
 	}
 
 	/**
- 	 * Store multiple documents in MongoDB using key-value pairs.
-     * @param {Object<string, {query: import('mongodb').UpdateFilter<import('mongodb').Document>, value: import('mongodb').UpdateFilter<import('mongodb').Document>}>} updateMap - Object containing key-value pairs of queries and update values
-     * @returns {Promise<import('mongodb').BulkWriteResult>} Result of the insert one operation
-    */
-	async bulkInsert(updateMap) {
-		const bulkOps = Object.entries(updateMap).map(([_, { query, value }]) => {
-			if (!query.docName || !query.version || !value.value) {
-				throw new Error('Document and version must be provided for each entry');
+	 * Set fields of the clock record of a document, if it exists.
+	 * @param {string} docName
+	 * @param {import('mongodb').Document} fields Aggregation expressions
+	 * @returns {Promise<void>}
+	 */
+	async updateClockRecord(docName, fields) {
+		await this._getClockCollection().updateOne({ _id: docName }, [{ $set: fields }]);
+	}
+
+	/**
+	 * @param {string} docName
+	 * @returns {Promise<ClockRecord | null>}
+	 */
+	getClockRecord(docName) {
+		return this._getClockCollection().findOne({ _id: docName });
+	}
+
+	/**
+	 * @param {import('mongodb').Filter<ClockRecord>} filter
+	 * @param {{ sort: import('mongodb').Sort, limit?: number }} options
+	 * @returns {Promise<ClockRecord[]>}
+	 */
+	findClockRecords(filter, { sort, limit = 0 }) {
+		return this._getClockCollection().find(filter, { sort, limit }).toArray();
+	}
+
+	/**
+	 * Create the index of the clock collection (if it doesnt exist yet).
+	 * @returns {Promise<void>}
+	 */
+	async ensureClockIndex() {
+		await this._getClockCollection().createIndex(CLOCK_INDEX_KEY);
+		this._indexedCollections.set(this.clockCollection, Promise.resolve());
+	}
+
+	/**
+	 * Delete the clock counter of a document.
+	 * @param {string} docName
+	 */
+	async deleteClock(docName) {
+		await this._getClockCollection().deleteOne({ _id: docName });
+	}
+
+	/**
+	 * @returns {import('mongodb').Collection<{ _id: string; owner: string; expiresAt: Date }>}
+	 */
+	_getLockCollection() {
+		return this.db.collection(this.lockCollection);
+	}
+
+	/**
+	 * Acquire the lock of a document if it is free, expired or already held by $owner.
+	 * @param {string} docName
+	 * @param {string} owner
+	 * @param {number} leaseDuration Time in ms until the lock expires if it isnt renewed
+	 * @returns {Promise<boolean>} Returns false if the lock is held by someone else
+	 */
+	async acquireLock(docName, owner, leaseDuration) {
+		const now = new Date();
+		try {
+			await this._getLockCollection().updateOne(
+				{ _id: docName, $or: [{ expiresAt: { $lte: now } }, { owner }] },
+				{ $set: { owner, expiresAt: new Date(now.getTime() + leaseDuration) } },
+				{ upsert: true },
+			);
+			return true;
+		} catch (err) {
+			// the lock exists and is held by someone else, so the upsert tried to insert a duplicate
+			if (err instanceof MongoServerError && err.code === 11000) {
+				return false;
 			}
+			throw err;
+		}
+	}
+
+	/**
+	 * Extend the lease of a lock that is held by $owner.
+	 * @param {string} docName
+	 * @param {string} owner
+	 * @param {number} leaseDuration
+	 * @returns {Promise<boolean>} Returns false if $owner doesnt hold the lock (anymore)
+	 */
+	async renewLock(docName, owner, leaseDuration) {
+		const res = await this._getLockCollection().updateOne(
+			{ _id: docName, owner },
+			{ $set: { expiresAt: new Date(Date.now() + leaseDuration) } },
+		);
+		return res.matchedCount === 1;
+	}
 
-			return {
-				insertOne: {
-					document: {
-						...query,
-						...value,
+	/**
+	 * Release a lock that is held by $owner.
+	 * @param {string} docName
+	 * @param {string} owner
+	 */
+	async releaseLock(docName, owner) {
+		await this._getLockCollection().deleteOne({ _id: docName, owner });
+	}
+
+	/**
+	 * Store multiple documents in MongoDB. Each document is upserted like with `put`.
+	 * @param {Array<{key: import('mongodb').Filter<import('mongodb').Document>, values: import('mongodb').Document}>} docs
+	 * @returns {Promise<import('mongodb').BulkWriteResult[]>} The results of the bulk writes
+	 * (one per collection)
+	 */
+	bulkPut(docs) {
+		return this._bulkWrite(
+			docs.map(({ key, values }) => ({
+				key,
+				values,
+				operation: { updateOne: { filter: key, update: { $set: values }, upsert: true } },
+			})),
+			{ ordered: true },
+		);
+	}
+
+	/**
+	 * Insert multiple documents into MongoDB.
+	 * @param {Array<{key: import('mongodb').Filter<import('mongodb').Document>, values: import('mongodb').Document}>} docs
+	 * @returns {Promise<import('mongodb').BulkWriteResult[]>} The results of the bulk writes
+	 * (one per collection)
+	 */
+	bulkInsert(docs) {
+		return this._bulkWrite(
+			docs.map(({ key, values }) => ({
+				key,
+				values,
+				operation: {
+					insertOne: {
+						document: /** @type {import('mongodb').Document} */ ({ ...key, ...values }),
 					},
 				},
-			};
+			})),
+			{ ordered: false },
+		);
+	}
+
+	/**
+	 * Send the operations to the collections of their documents.
+	 * @param {Array<{key: import('mongodb').Filter<import('mongodb').Document>, values: import('mongodb').Document, operation: import('mongodb').AnyBulkWriteOperation}>} entries
+	 * @param {import('mongodb').BulkWriteOptions} options
+	 * @returns {Promise<import('mongodb').BulkWriteResult[]>}
+	 */
+	async _bulkWrite(entries, options) {
+		/** @type {Map<string, import('mongodb').AnyBulkWriteOperation[]>} */
+		const opsByCollection = new Map();
+		entries.forEach(({ key, values, operation }) => {
+			if (!key.docName || !key.version || (!values.value && !values.fileId)) {
+				throw new PersistenceWriteError('Document and version must be provided for each entry');
+			}
+			const collectionName = this._getCollectionName(key);
+			if (!opsByCollection.has(collectionName)) {
+				opsByCollection.set(collectionName, []);
+			}
+			opsByCollection.get(collectionName)?.push(operation);
 		});
 
-		const collection = this.db.collection(
-			this._getCollectionName(Object.values(updateMap)[0].query),
+		await this._registerDocuments(entries.map(({ key }) => key));
+		return Promise.all(
+			Array.from(opsByCollection.entries()).map(async ([collectionName, ops]) => {
+				await this._prepareCollection(collectionName);
+				return this.db.collection(collectionName).bulkWrite(ops, options);
+			}),
 		);
-		try {
-			const result = await collection.bulkWrite(bulkOps, { ordered: false });
-			return result;
-		} catch (error) {
-			throw error;
-		}
 	}
 
 	/**
-	 * Removes all documents that fit the $query
+	 * Store raw documents (including their _id). Existing documents with the same _id
+	 * get replaced, so this can safely be repeated.
+	 * @param {import('mongodb').Document[]} docs
+	 * @returns {Promise<void>}
+	 */
+	async putMany(docs) {
+		/** @type {Map<string, import('mongodb').AnyBulkWriteOperation[]>} */
+		const opsByCollection = new Map();
+		docs.forEach((doc) => {
+			const collectionName = this._getCollectionName(doc);
+			if (!opsByCollection.has(collectionName)) {
+				opsByCollection.set(collectionName, []);
+			}
+			opsByCollection.get(collectionName)?.push({
+				replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true },
+			});
+		});
+
+		await this._registerDocuments(docs);
+		await Promise.all(
+			Array.from(opsByCollection.entries()).map(async ([collectionName, ops]) => {
+				await this._prepareCollection(collectionName);
+				await this.db.collection(collectionName).bulkWrite(ops, { ordered: false });
+			}),
+		);
+	}
+
+	/**
+	 * Removes all documents that fit the $query and the GridFS files they reference
 	 * @param {import('mongodb').Filter<import('mongodb').Document>} query
+	 * @param {{ keepFiles?: boolean }} [options] Set keepFiles when the documents were copied
+	 * somewhere else and still reference their files
 	 * @returns {Promise<import('mongodb').BulkWriteResult>} Contains status of the operation
 	 */
-	delete(query) {
+	async delete(query, options) {
+		const { keepFiles = false } = options || {};
 		const collection = this.db.collection(this._getCollectionName(query));
+		const fileIds = keepFiles ? [] : await this._findFileIds(collection, query);
 
 		/*
 			Note from mongodb v4.7 release notes:
@@ -189,14 +749,131 @@ export class MongoAdapter {
 		*/
 		const bulk = collection.initializeOrderedBulkOp();
 		bulk.find(query).delete();
-		return bulk.execute();
+		const result = await bulk.execute();
+		// the files are deleted last, so no document references a missing file
+		await this.deleteFiles(fileIds);
+		return result;
+	}
+
+	/**
+	 * Get the ids of the GridFS files that are referenced by the documents that fit the $query
+	 * @param {import('mongodb').Collection} collection
+	 * @param {import('mongodb').Filter<import('mongodb').Document>} query
+	 * @returns {Promise<import('mongodb').ObjectId[]>}
+	 */
+	async _findFileIds(collection, query) {
+		if (!this._bucket) {
+			return [];
+		}
+		const docs = await collection
+			.find({ ...query, fileId: { $exists: true } }, { projection: { fileId: 1 } })
+			.toArray();
+		return docs.map((doc) => doc.fileId);
+	}
+
+	/**
+	 * Store a value in GridFS.
+	 * @param {Uint8Array} value
+	 * @param {string} filename
+	 * @param {import('mongodb').Document} [metadata]
+	 * @returns {Promise<import('mongodb').ObjectId>} The id of the stored file
+	 */
+	uploadFile(value, filename, metadata) {
+		const bucket = this._getBucket();
+		return new Promise((resolve, reject) => {
+			const stream = bucket.openUploadStream(filename, { metadata });
+			stream.once('finish', () => resolve(stream.id));
+			stream.once('error', reject);
+			stream.end(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+		});
+	}
+
+	/**
+	 * Stream a value back from GridFS.
+	 * @param {import('mongodb').ObjectId} fileId
+	 * @returns {Promise<Uint8Array>}
+	 */
+	downloadFile(fileId) {
+		const bucket = this._getBucket();
+		return new Promise((resolve, reject) => {
+			/** @type {Buffer[]} */
+			const chunks = [];
+			bucket
+				.openDownloadStream(fileId)
+				.on('data', (chunk) => chunks.push(chunk))
+				.once('error', reject)
+				.once('end', () => resolve(Buffer.concat(chunks)));
+		});
+	}
+
+	/**
+	 * Delete files from GridFS. Files that dont exist (anymore) are ignored.
+	 * @param {import('mongodb').ObjectId[]} fileIds
+	 * @returns {Promise<void>}
+	 */
+	async deleteFiles(fileIds) {
+		if (!fileIds.length) {
+			return;
+		}
+		const bucket = this._getBucket();
+		await Promise.all(
+			fileIds.map((fileId) =>
+				bucket.delete(fileId).catch((err) => {
+					// the file was already deleted
+					if (!(err instanceof MongoRuntimeError)) {
+						throw err;
+					}
+				}),
+			),
+		);
+	}
+
+	/**
+	 * Get the total size of GridFS files.
+	 * @param {import('mongodb').ObjectId[]} fileIds
+	 * @returns {Promise<number>}
+	 */
+	async getFilesSize(fileIds) {
+		const files = await this._getBucket()
+			.find({ _id: { $in: fileIds } })
+			.toArray();
+		return files.reduce((sum, file) => sum + file.length, 0);
+	}
+
+	/**
+	 * @returns {GridFSBucket}
+	 */
+	_getBucket() {
+		if (!this._bucket) {
+			throw new PersistenceError(
+				'GridFS is not enabled. Use the option "gridFS" to store values in GridFS.',
+			);
+		}
+		return this._bucket;
+	}
+
+	/**
+	 * Open a change stream on the collection of $docName.
+	 * If no docName is given, the change stream covers the documents of all collections.
+	 * @param {string | null} docName
+	 * @param {import('mongodb').Document[]} pipeline
+	 * @param {import('mongodb').ChangeStreamOptions} [options]
+	 * @returns {import('mongodb').ChangeStream}
+	 */
+	watch(docName, pipeline, options) {
+		if (this.multipleCollections && docName === null) {
+			return this.db.watch(pipeline, options);
+		}
+		return this.db.collection(this._getCollectionName({ docName })).watch(pipeline, options);
 	}
 
 	/**
 	 * Close connection to MongoDB instance.
 	 */
 	async close() {
-		await this.client.close();
+		if (this.closeClient) {
+			await this.client.close();
+		}
 	}
 
 	/**
@@ -208,19 +885,138 @@ export class MongoAdapter {
 		return collectionInfos.map((c) => c.name);
 	}
 
+	/**
+	 * Get the names of the collections that this adapter uses besides the document collections.
+	 * @returns {string[]}
+	 */
+	getInternalCollectionNames() {
+		const names = [
+			this.clockCollection,
+			this.lockCollection,
+			this.registryCollection,
+			this.migrationCollection,
+			this.projectionCollection,
+			this.auditCollection,
+		];
+		if (this.gridFS) {
+			names.push(`${this.gridFS.bucketName}.files`, `${this.gridFS.bucketName}.chunks`);
+		}
+		return names;
+	}
+
+	/**
+	 * Create the compound index of y-mongodb on a collection (if it doesnt exist yet).
+	 * @param {string} collectionName
+	 * @returns {Promise<void>}
+	 */
+	async ensureIndex(collectionName) {
+		await this.db.collection(collectionName).createIndex(DOCUMENT_INDEX_KEY);
+		this._indexedCollections.set(collectionName, Promise.resolve());
+	}
+
+	/**
+	 * Lazily create the index of a collection before it is written the first time.
+	 * Failing to create the index doesnt fail the write.
+	 * @param {string} collectionName
+	 * @param {import('mongodb').IndexSpecification} [indexKey] Default: the compound index of y-mongodb
+	 * @returns {Promise<void>}
+	 */
+	_prepareCollection(collectionName, indexKey = DOCUMENT_INDEX_KEY) {
+		if (!this.autoIndex) {
+			return Promise.resolve();
+		}
+		let indexed = this._indexedCollections.get(collectionName);
+		if (!indexed) {
+			indexed = this.db
+				.collection(collectionName)
+				.createIndex(indexKey)
+				.then(
+					() => {},
+					(err) => {
+						// eslint-disable-next-line no-console
+						console.warn(`Couldnt create the index of collection "${collectionName}"`, err);
+					},
+				);
+			this._indexedCollections.set(collectionName, indexed);
+		}
+		return indexed;
+	}
+
+	/**
+	 * Check if a collection has the compound index of y-mongodb and which of its indexes
+	 * are redundant, because they are a prefix of the compound index.
+	 * @param {string} collectionName
+	 * @returns {Promise<IndexCheck>}
+	 */
+	async checkIndex(collectionName) {
+		/** @type {import('mongodb').Document[]} */
+		let indexes = [];
+		try {
+			indexes = await this.db.collection(collectionName).indexes();
+		} catch (err) {
+			// the collection doesnt exist (yet)
+			if (!(err instanceof MongoServerError && err.code === 26)) {
+				throw err;
+			}
+		}
+
+		const requiredFields = Object.entries(DOCUMENT_INDEX_KEY);
+		/**
+		 * @param {import('mongodb').Document} index
+		 * @returns {boolean}
+		 */
+		const isPrefixOfRequired = (index) => {
+			const fields = Object.entries(index.key);
+			return (
+				fields.length <= requiredFields.length &&
+				fields.every(
+					([field, direction], i) =>
+						field === requiredFields[i][0] && direction === requiredFields[i][1],
+				)
+			);
+		};
+
+		return {
+			collection: collectionName,
+			missing: !indexes.some(
+				(index) =>
+					isPrefixOfRequired(index) &&
+					Object.keys(index.key).length === requiredFields.length &&
+					!index.partialFilterExpression,
+			),
+			redundant: indexes
+				.filter(
+					(index) =>
+						isPrefixOfRequired(index) &&
+						Object.keys(index.key).length < requiredFields.length &&
+						// these indexes do more than speeding up queries
+						!index.unique &&
+						!index.partialFilterExpression,
+				)
+				.map((index) => index.name),
+		};
+	}
+
 	/**
 	 * Delete database
 	 */
 	async flush() {
+		this._indexedCollections.clear();
 		await this.db.dropDatabase();
-		await this.client.close();
+		await this.close();
 	}
 
 	/**
 	 * Delete collection
 	 * @param {string} collectionName
 	 */
-	dropCollection(collectionName) {
-		return this.db.collection(collectionName).drop();
+	async dropCollection(collectionName) {
+		// a new collection with the same name needs a new index
+		this._indexedCollections.delete(collectionName);
+		const collection = this.db.collection(collectionName);
+		const fileIds = await this._findFileIds(collection, {});
+		const result = await collection.drop();
+		await this.deleteFiles(fileIds);
+		return result;
 	}
 }
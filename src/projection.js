@@ -0,0 +1,151 @@
+/**
+ * @typedef {'Map' | 'Array' | 'Text' | 'XmlFragment'} SharedTypeName
+ */
+
+/**
+ * @typedef {Object} ProjectionOptions
+ * @property {Object<string, SharedTypeName>} types The top-level shared types that are projected,
+ * by their name in the Y.Doc
+ * @property {number} debounceMs How long a document has to be unchanged before it is projected
+ * @property {number} maxWaitMs A document that keeps changing is projected after this time
+ */
+
+/**
+ * @typedef {Object} ProjectedDocument
+ * @property {string} docName
+ * @property {Object<string, any>} content The JSON of the projected types (`toJSON`)
+ * @property {number} clock The clock of the newest update that is part of the projection
+ * @property {Date} updatedAt
+ */
+
+export const SHARED_TYPE_NAMES = ['Map', 'Array', 'Text', 'XmlFragment'];
+
+/**
+ * @param {import('yjs').Doc} ydoc
+ * @param {string} name
+ * @param {SharedTypeName} type
+ * @return {import('yjs').AbstractType<any>}
+ */
+const getSharedType = (ydoc, name, type) => {
+	if (type === 'Map') {
+		return ydoc.getMap(name);
+	} else if (type === 'Array') {
+		return ydoc.getArray(name);
+	} else if (type === 'Text') {
+		return ydoc.getText(name);
+	} else {
+		return ydoc.getXmlFragment(name);
+	}
+};
+
+/**
+ * Render the chosen top-level types of a Y.Doc as JSON.
+ *
+ * @param {import('yjs').Doc} ydoc
+ * @param {Object<string, SharedTypeName>} types
+ * @return {Object<string, any>}
+ */
+export const createProjection = (ydoc, types) => {
+	/** @type {Object<string, any>} */
+	const content = {};
+	Object.entries(types).forEach(([name, type]) => {
+		content[name] = getSharedType(ydoc, name, type).toJSON();
+	});
+	return content;
+};
+
+/**
+ * @typedef {Object} PendingProjection
+ * @property {ReturnType<typeof setTimeout>} timeout
+ * @property {number} deadline Time (Date.now()) until which the projection must be written
+ */
+
+/**
+ * Debounces the projections of the documents, so a document that receives many updates is only
+ * rendered once they stop (or once $maxWaitMs passed).
+ */
+export class ProjectionQueue {
+	/**
+	 * @param {{ debounceMs: number, maxWaitMs: number }} opts
+	 * @param {function(string):Promise<void>} project Writes the projection of a document
+	 */
+	constructor({ debounceMs, maxWaitMs }, project) {
+		this.debounceMs = debounceMs;
+		this.maxWaitMs = maxWaitMs;
+		this.project = project;
+		/** @type {Map<string, PendingProjection>} */
+		this.pending = new Map();
+		/** @type {Set<Promise<void>>} */
+		this.running = new Set();
+	}
+
+	/**
+	 * Project a document once it didnt change for $debounceMs.
+	 *
+	 * @param {string} docName
+	 */
+	schedule(docName) {
+		const pending = this.pending.get(docName);
+		const deadline = pending ? pending.deadline : Date.now() + this.maxWaitMs;
+		if (pending) {
+			clearTimeout(pending.timeout);
+		}
+		const delay = Math.max(0, Math.min(this.debounceMs, deadline - Date.now()));
+		this.pending.set(docName, {
+			timeout: setTimeout(() => {
+				this.run(docName);
+			}, delay),
+			deadline,
+		});
+	}
+
+	/**
+	 * Forget the scheduled projection of a document, e.g. because it was deleted.
+	 *
+	 * @param {string} docName
+	 */
+	cancel(docName) {
+		const pending = this.pending.get(docName);
+		if (pending) {
+			clearTimeout(pending.timeout);
+			this.pending.delete(docName);
+		}
+	}
+
+	/**
+	 * Forget all scheduled projections.
+	 */
+	cancelAll() {
+		Array.from(this.pending.keys()).forEach((docName) => this.cancel(docName));
+	}
+
+	/**
+	 * Write the projection of a document now.
+	 *
+	 * @param {string} docName
+	 * @return {Promise<void>}
+	 */
+	run(docName) {
+		this.cancel(docName);
+		const running = this.project(docName).catch((err) => {
+			// the error was already reported by the transaction
+			// eslint-disable-next-line no-console
+			console.warn(`Couldnt write the projection of document "${docName}"`, err);
+		});
+		this.running.add(running);
+		running.finally(() => {
+			this.running.delete(running);
+		});
+		return running;
+	}
+
+	/**
+	 * Write all scheduled projections and wait for the projections that are being written.
+	 *
+	 * @return {Promise<void>}
+	 */
+	async flushAll() {
+		Array.from(this.pending.keys()).forEach((docName) => this.run(docName));
+		await Promise.all(Array.from(this.running));
+	}
+}
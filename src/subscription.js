@@ -0,0 +1,167 @@
+import { getMongoUpdate, readMongoUpdates } from './utils.js';
+
+const RECONNECT_DELAY = 1000;
+// number of split updates we remember, so they are not delivered once per part
+const MAX_DELIVERED_SPLIT_UPDATES = 100;
+
+/**
+ * @typedef {Object} UpdateEvent
+ * @property {string} docName
+ * @property {Uint8Array} update
+ * @property {number} clock
+ * @property {unknown} resumeToken Store this token and pass it as `resumeAfter` to continue
+ * the subscription after a restart without missing updates.
+ */
+
+/**
+ * @typedef {Object} SubscriptionOptions
+ * @property {string | null} docName Only deliver updates of this document. All documents if null.
+ * @property {string} [ignoredInstanceId] Skip updates that were written by this instance.
+ * @property {string} [ignoredCollection] Skip changes in this collection (e.g. the history).
+ * @property {unknown} [resumeAfter] Resume token of an earlier subscription.
+ */
+
+/**
+ * Watch the stored updates with a MongoDB change stream and call $handler for every new update.
+ * Checkpoints written by flushes are skipped because their content was already delivered.
+ * Change streams resume automatically after network errors. If the change stream fails anyway,
+ * it is reopened with the last seen resume token.
+ *
+ * Change streams are only available on replica sets and sharded clusters.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {SubscriptionOptions} opts
+ * @param {function(UpdateEvent):void|Promise<void>} handler
+ * @return {Promise<function():Promise<void>>} Resolves with an unsubscribe function once the
+ * change stream is established
+ */
+export const subscribeToUpdates = (db, opts, handler) => {
+	const { docName, ignoredInstanceId, ignoredCollection } = opts;
+	let resumeToken = opts.resumeAfter;
+	let closed = false;
+	/** @type {import('mongodb').ChangeStream | null} */
+	let changeStream = null;
+	/** @type {ReturnType<typeof setTimeout> | null} */
+	let reconnectTimeout = null;
+	// deliver updates in the order they were stored
+	let queue = Promise.resolve();
+	/** @type {Set<string>} */
+	const deliveredSplitUpdates = new Set();
+
+	/** @type {import('mongodb').Document} */
+	const match = {
+		operationType: { $in: ['insert', 'update', 'replace'] },
+		'fullDocument.version': 'v1',
+		'fullDocument.action': 'update',
+		'fullDocument.checkpoint': { $ne: true },
+	};
+	if (docName !== null) {
+		match['fullDocument.docName'] = docName;
+	}
+	if (ignoredInstanceId) {
+		match['fullDocument.instanceId'] = { $ne: ignoredInstanceId };
+	}
+	if (ignoredCollection) {
+		match['ns.coll'] = { $ne: ignoredCollection };
+	}
+
+	/**
+	 * @param {import('mongodb').Document} doc
+	 * @return {Promise<Uint8Array | null>}
+	 */
+	const readUpdate = async (doc) => {
+		if (!doc.part) {
+			const [update] = await readMongoUpdates(db, [doc]);
+			return update;
+		}
+		const key = `${doc.docName}:${doc.clock}`;
+		if (deliveredSplitUpdates.has(key)) {
+			return null;
+		}
+		const update = await getMongoUpdate(db, doc.docName, doc.clock);
+		if (update) {
+			deliveredSplitUpdates.add(key);
+			if (deliveredSplitUpdates.size > MAX_DELIVERED_SPLIT_UPDATES) {
+				const [oldestKey] = deliveredSplitUpdates;
+				deliveredSplitUpdates.delete(oldestKey);
+			}
+		}
+		return update;
+	};
+
+	/**
+	 * @param {import('mongodb').ChangeStreamDocument} change
+	 */
+	const onChange = async (change) => {
+		// we only watch for inserts, updates and replacements, which have a fullDocument
+		const doc = 'fullDocument' in change ? change.fullDocument : null;
+		try {
+			const update = doc ? await readUpdate(doc) : null;
+			if (doc && update) {
+				await handler({ docName: doc.docName, update, clock: doc.clock, resumeToken: change._id });
+			}
+		} catch (err) {
+			// eslint-disable-next-line no-console
+			console.warn('Error while handling a subscribed update', err);
+		}
+		resumeToken = change._id;
+	};
+
+	/**
+	 * Failing to establish the first change stream (e.g. on a standalone server) rejects,
+	 * later failures are retried.
+	 * @param {boolean} [isReconnect]
+	 * @return {Promise<void>}
+	 */
+	const open = (isReconnect = false) =>
+		new Promise((resolve, reject) => {
+			let initialized = false;
+			/** @type {import('mongodb').ChangeStreamOptions} */
+			const options = { fullDocument: 'updateLookup' };
+			if (resumeToken) {
+				options.resumeAfter = resumeToken;
+			}
+			const stream = db.watch(docName, [{ $match: match }], options);
+			changeStream = stream;
+			// the first resume token is received once the change stream is established
+			stream.once('resumeTokenChanged', () => {
+				initialized = true;
+				resolve();
+			});
+			stream.on('change', (change) => {
+				queue = queue.then(() => onChange(change));
+			});
+			stream.on('error', (err) => {
+				if (closed || changeStream !== stream) {
+					return;
+				}
+				if (!initialized && !isReconnect) {
+					closed = true;
+					reject(err);
+					return;
+				}
+				resolve();
+				// eslint-disable-next-line no-console
+				console.warn('Change stream failed, reconnecting', err);
+				changeStream = null;
+				stream.close().catch(() => {});
+				reconnectTimeout = setTimeout(() => {
+					reconnectTimeout = null;
+					if (!closed) {
+						open(true);
+					}
+				}, RECONNECT_DELAY);
+			});
+		});
+
+	return open().then(() => async () => {
+		closed = true;
+		if (reconnectTimeout) {
+			clearTimeout(reconnectTimeout);
+		}
+		if (changeStream) {
+			await changeStream.close();
+		}
+		await queue;
+	});
+};
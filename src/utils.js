@@ -2,29 +2,36 @@ import * as Y from 'yjs';
 import * as binary from 'lib0/binary';
 import * as encoding from 'lib0/encoding';
 import * as decoding from 'lib0/decoding';
+import * as promise from 'lib0/promise';
 import { Buffer } from 'buffer';
-import { MongoBulkWriteError, MongoNetworkError, MongoNetworkTimeoutError } from 'mongodb';
+import {
+	Binary,
+	BSON,
+	MongoBulkWriteError,
+	MongoNetworkError,
+	MongoNetworkTimeoutError,
+	ObjectId,
+} from 'mongodb';
+import { compress, decompress } from './compression.js';
+import { decrypt, encrypt, getKey } from './encryption.js';
+import {
+	EncryptionError,
+	MissingUpdatePartError,
+	NotFoundError,
+	PersistenceError,
+	PersistenceWriteError,
+} from './errors.js';
 
 export const PREFERRED_TRIM_SIZE = 400;
-const MAX_DOCUMENT_SIZE = 15000000; // ~15MB (plus space for metadata)
+export const MAX_DOCUMENT_SIZE = 15000000; // ~15MB (plus space for metadata)
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
 
 /**
- * Remove all documents from db with Clock between $from and $to
- *
- * @param {import('./mongo-adapter.js').MongoAdapter} db
- * @param {string} docName
- * @param {number} from Greater than or equal
- * @param {number} to lower than (not equal)
- * @returns {Promise<import('mongodb').BulkWriteResult>} Contains status of the operation
+ * Defines which updates are kept in the history collection once they got merged by a flush.
+ * `true` keeps everything, `{ days }` keeps the updates of the last days and `{ clocks }`
+ * keeps the last n clocks.
+ * @typedef {true | { days: number } | { clocks: number }} HistoryRetention
  */
-export const clearUpdatesRange = async (db, docName, from, to) =>
-	db.delete({
-		docName,
-		clock: {
-			$gte: from,
-			$lt: to,
-		},
-	});
 
 /**
  * Create a unique key for a update message.
@@ -49,6 +56,24 @@ const createDocumentUpdateKey = (docName, clock) => {
 	}
 };
 
+/**
+ * Remove all documents from db with Clock between $from and $to
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {number} from Greater than or equal
+ * @param {number} to lower than (not equal)
+ * @returns {Promise<import('mongodb').BulkWriteResult>} Contains status of the operation
+ */
+export const clearUpdatesRange = async (db, docName, from, to) =>
+	db.delete({
+		...createDocumentUpdateKey(docName),
+		clock: {
+			$gte: from,
+			$lt: to,
+		},
+	});
+
 /**
  * We have a separate state vector key so we can iterate efficiently over all documents
  * @param {string} docName
@@ -59,6 +84,28 @@ export const createDocumentStateVectorKey = (docName) => ({
 	version: 'v1_sv',
 });
 
+/**
+ * Snapshots are stored next to the updates, but with their own version so that they are
+ * never touched by flushes.
+ * @param {string} docName
+ * @param {string} [snapshotId]
+ * @return {{docName: string; version: "v1_snapshot"; snapshotId?: string; }}
+ */
+export const createDocumentSnapshotKey = (docName, snapshotId) => {
+	if (snapshotId !== undefined) {
+		return {
+			version: 'v1_snapshot',
+			docName,
+			snapshotId,
+		};
+	} else {
+		return {
+			version: 'v1_snapshot',
+			docName,
+		};
+	}
+};
+
 /**
  * @param {string} docName
  * @param {string} metaKey
@@ -76,17 +123,116 @@ export const createDocumentMetaKey = (docName, metaKey) => ({
  */
 export const flushDB = (db) => db.flush();
 
+/**
+ * @param {string} docName
+ * @param {string} keyId
+ * @return {string}
+ */
+const getKeyRef = (docName, keyId) => `${docName}\u0000${keyId}`;
+
+/**
+ * Get the keys of all encrypted records from the key provider.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {import('mongodb').Document[]} docs
+ * @return {Promise<Map<string, Uint8Array>>}
+ */
+export const getDecryptionKeys = async (db, docs) => {
+	/** @type {Map<string, import('mongodb').Document>} */
+	const encryptedDocs = new Map();
+	docs.forEach((doc) => {
+		if (doc.keyId) {
+			encryptedDocs.set(getKeyRef(doc.docName, doc.keyId), doc);
+		}
+	});
+	/** @type {Map<string, Uint8Array>} */
+	const keys = new Map();
+	if (!encryptedDocs.size) {
+		return keys;
+	}
+	const { encryption } = db;
+	if (!encryption) {
+		throw new EncryptionError(
+			'Couldnt decrypt the stored records because the option "encryption" is not set',
+		);
+	}
+	await Promise.all(
+		Array.from(encryptedDocs.entries()).map(async ([ref, doc]) => {
+			const { key } = await getKey(encryption, doc.docName, doc.keyId);
+			keys.set(ref, key);
+		}),
+	);
+	return keys;
+};
+
+/**
+ * @param {import('mongodb').Document} doc The record (or first part) that stores $value
+ * @param {Uint8Array} value
+ * @param {Map<string, Uint8Array>} keys
+ * @return {Uint8Array}
+ */
+const decryptValue = (doc, value, keys) => {
+	if (!doc.keyId) {
+		return value;
+	}
+	const key = keys.get(getKeyRef(doc.docName, doc.keyId));
+	if (!key) {
+		throw new EncryptionError(`The key "${doc.keyId}" of document "${doc.docName}" is missing`);
+	}
+	return decrypt(value, key, doc.docName);
+};
+
+/**
+ * Encrypt a value if the option "encryption" is set.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {Uint8Array} value
+ * @param {string} [keyId] Use this key instead of the current key of the document
+ * @return {Promise<{ value: Uint8Array, keyId: string | null }>} The keyId is null if the value
+ * is not encrypted
+ */
+const encryptValue = async (db, docName, value, keyId) => {
+	if (!db.encryption) {
+		return { value, keyId: null };
+	}
+	const key = await getKey(db.encryption, docName, keyId);
+	return { value: encrypt(value, key.key, docName), keyId: key.keyId };
+};
+
+/**
+ * Compress and encrypt a binary value (depending on the options of $db).
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {Uint8Array} value
+ * @param {string} [keyId]
+ * @return {Promise<EncodedValue>}
+ */
+const encodeValue = async (db, docName, value, keyId) => {
+	const compressed = await compress(value, db.compression);
+	const encrypted = await encryptValue(db, docName, compressed.value, keyId);
+	return { value: encrypted.value, codec: compressed.codec, keyId: encrypted.keyId };
+};
+
+/**
+ * @typedef {{ value: Uint8Array, codec: import('./compression.js').Codec | null, keyId: string | null }} EncodedValue
+ */
+
 /**
  *
  * This function converts MongoDB updates to a buffer that can be processed by the application.
  * It handles both complete documents and large documents that have been split into smaller 'parts' due to MongoDB's size limit.
  * For split documents, it collects all the parts and merges them together.
  * It assumes that the parts of a split document are ordered and located exactly after the document with part number 1.
+ * Encrypted values (with a `keyId`) are decrypted and compressed values (with a `codec` marker)
+ * are decompressed.
  *
- * @param {{ _id: import("mongodb").ObjectId; action: string; version: string; docName: string; clock: number; part?: number; value: import("mongodb").Binary; }[]} docs
+ * @param {{ _id: import("mongodb").ObjectId; action: string; version: string; docName: string; clock: number; part?: number; codec?: import('./compression.js').Codec; keyId?: string; value: import("mongodb").Binary; }[]} docs
+ * @param {Map<string, Uint8Array>} [keys] The keys of the encrypted records (see getDecryptionKeys)
  * @return {Uint8Array[]}
  */
-const convertMongoUpdates = (docs) => {
+export const convertMongoUpdates = (docs, keys = new Map()) => {
 	if (!Array.isArray(docs) || !docs.length) return [];
 
 	/** @type {Uint8Array[]} */
@@ -94,7 +240,7 @@ const convertMongoUpdates = (docs) => {
 	for (let i = 0; i < docs.length; i++) {
 		const doc = docs[i];
 		if (!doc.part) {
-			updates.push(doc.value.buffer);
+			updates.push(decompress(decryptValue(doc, doc.value.buffer, keys), doc.codec));
 		} else if (doc.part === 1) {
 			// merge the docs together that got split because of mongodb size limits
 			const parts = [doc.value.buffer];
@@ -104,7 +250,7 @@ const convertMongoUpdates = (docs) => {
 				const part = docs[j];
 				if (part.part && part.clock === doc.clock) {
 					if (currentPartId !== part.part - 1) {
-						throw new Error('Couldnt merge updates together because a part is missing!');
+						throw new MissingUpdatePartError(doc.docName, doc.clock, currentPartId + 1);
 					}
 					parts.push(part.value.buffer);
 					currentPartId = part.part;
@@ -112,7 +258,7 @@ const convertMongoUpdates = (docs) => {
 					break;
 				}
 			}
-			updates.push(Buffer.concat(parts));
+			updates.push(decompress(decryptValue(doc, Buffer.concat(parts), keys), doc.codec));
 			// set i to j - 1 because we already processed all parts
 			i = j - 1;
 		}
@@ -120,6 +266,40 @@ const convertMongoUpdates = (docs) => {
 	return updates;
 };
 
+/**
+ * Like convertMongoUpdates, but values that are stored in GridFS are streamed back and the keys
+ * of encrypted values are fetched first.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {import('mongodb').Document[]} docs
+ * @return {Promise<Uint8Array[]>}
+ */
+export const readMongoUpdates = async (db, docs) => {
+	const loadedDocs = await Promise.all(
+		docs.map(async (doc) =>
+			doc.fileId ? { ...doc, value: new Binary(await db.downloadFile(doc.fileId)) } : doc,
+		),
+	);
+	const keys = await getDecryptionKeys(db, docs);
+	// @ts-ignore
+	return convertMongoUpdates(loadedDocs, keys);
+};
+
+/**
+ * Get all document updates for a specific document and the clock of the newest one.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @return {Promise<{ updates: Uint8Array[], clock: number }>} The clock is -1 if there are no updates
+ */
+export const getMongoUpdatesAndClock = async (db, docName) => {
+	const docs = await db.find(createDocumentUpdateKey(docName));
+	return {
+		updates: await readMongoUpdates(db, docs),
+		clock: docs.length ? docs[docs.length - 1].clock : -1,
+	};
+};
+
 /**
  * Get all document updates for a specific document.
  *
@@ -128,10 +308,25 @@ const convertMongoUpdates = (docs) => {
  * @return {Promise<Uint8Array[]>}
  */
 export const getMongoUpdates = async (db, docName) => {
-	const docs = await db.find(createDocumentUpdateKey(docName));
-	// TODO: I dont know how to type this without actual typescript
-	// @ts-ignore
-	return convertMongoUpdates(docs);
+	const { updates } = await getMongoUpdatesAndClock(db, docName);
+	return updates;
+};
+
+/**
+ * Get a single document update.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {number} clock
+ * @return {Promise<Uint8Array | null>} Returns null if the update (or one of its parts) is not stored
+ */
+export const getMongoUpdate = async (db, docName, clock) => {
+	const docs = await db.find(createDocumentUpdateKey(docName, clock));
+	if (!docs.length || (docs[0].partCount && docs.length < docs[0].partCount)) {
+		return null;
+	}
+	const [update] = await readMongoUpdates(db, docs);
+	return update;
 };
 
 /**
@@ -159,6 +354,54 @@ export const getCurrentUpdateClock = (db, docName) =>
 			}
 		});
 
+/**
+ * The stats of the clock record after updates were stored: when the document was created and
+ * changed and the total size of its updates.
+ *
+ * @param {number} size Size of the stored updates
+ * @return {import('mongodb').Document} Aggregation expressions
+ */
+const createStoredStats = (size) => ({
+	createdAt: { $ifNull: ['$createdAt', '$$NOW'] },
+	updatedAt: '$$NOW',
+	size: { $add: [{ $ifNull: ['$size', 0] }, size] },
+});
+
+/**
+ * The stats of the clock record after a flush replaced updates with their merged update.
+ * Updates that were stored during the flush keep being counted.
+ *
+ * @param {number} mergedSize Size of the updates that were merged
+ * @param {number} size Size of the merged update
+ * @return {import('mongodb').Document} Aggregation expressions
+ */
+const createFlushedStats = (mergedSize, size) => ({
+	flushedAt: '$$NOW',
+	// documents that were stored before the size was tracked only consist of the merged update
+	size: { $add: [{ $ifNull: ['$size', mergedSize] }, size - mergedSize] },
+});
+
+/**
+ * Reserve the next clocks of a document. This is atomic, so multiple processes can write to
+ * the same document without overwriting each other's updates.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {number} [count] Number of clocks to reserve. Default: 1
+ * @param {import('mongodb').Document} [stats] Stats that are written together with the clock
+ * @return {Promise<number>} The last reserved clock
+ */
+export const allocateUpdateClock = async (db, docName, count = 1, stats = {}) => {
+	const clock = await db.incrementClock(docName, count, undefined, stats);
+	if (clock !== null) {
+		return clock;
+	}
+	// no counter yet: either a new document or one that was stored before counters existed
+	const currentClock = await getCurrentUpdateClock(db, docName);
+	// with an initial clock, the counter is always created
+	return /** @type {Promise<number>} */ (db.incrementClock(docName, count, currentClock, stats));
+};
+
 /**
  * @param {import('./mongo-adapter.js').MongoAdapter} db
  * @param {string} docName
@@ -170,280 +413,297 @@ const writeStateVector = async (db, docName, sv, clock) => {
 	const encoder = encoding.createEncoder();
 	encoding.writeVarUint(encoder, clock);
 	encoding.writeVarUint8Array(encoder, sv);
+	const { value, keyId } = await encryptValue(db, docName, encoding.toUint8Array(encoder));
 	await db.put(createDocumentStateVectorKey(docName), {
-		value: encoding.toUint8Array(encoder),
+		value,
+		// unset the key of an encrypted state vector if encryption got disabled
+		keyId: keyId ?? undefined,
 	});
 };
 
 /**
+ * Create the MongoDB documents that store a (compressed) binary value with the given key.
+ * Mongodb has a maximum document size of 16MB;
+ *  if our buffer exceeds it, we store the value in multiple documents with an ascending `part`
+ *  and the total number of parts (`partCount`).
+ * If GridFS is enabled, large values are stored as a file instead and the document only
+ *  references it (`fileId`).
+ *
  * @param {import('./mongo-adapter.js').MongoAdapter} db
- * @param {string} docName
- * @param {Uint8Array} update
- * @return {Promise<number>} Returns the clock of the stored update
+ * @param {import('mongodb').Filter<import('mongodb').Document>} key
+ * @param {EncodedValue} encoded
+ * @param {import('mongodb').Document} [fields] Additional fields stored with every document
+ * @return {Promise<{ key: import('mongodb').Filter<import('mongodb').Document>, values: import('mongodb').Document }[]>}
  */
-export const storeUpdate = async (db, docName, update) => {
-	const clock = await getCurrentUpdateClock(db, docName);
-	if (clock === -1) {
-		// make sure that a state vector is always written, so we can search for available documents
-		const ydoc = new Y.Doc();
-		Y.applyUpdate(ydoc, update);
-		const sv = Y.encodeStateVector(ydoc);
-		await writeStateVector(db, docName, sv, 0);
-	}
-
-	// mongodb has a maximum document size of 16MB;
-	//  if our buffer exceeds it, we store the update in multiple documents
-	if (update.length <= MAX_DOCUMENT_SIZE) {
-		await db.put(createDocumentUpdateKey(docName, clock + 1), {
-			value: update,
-		});
-	} else {
-		const totalChunks = Math.ceil(update.length / MAX_DOCUMENT_SIZE);
-
-		const putPromises = [];
-		for (let i = 0; i < totalChunks; i++) {
-			const start = i * MAX_DOCUMENT_SIZE;
-			const end = Math.min(start + MAX_DOCUMENT_SIZE, update.length);
-			const chunk = update.subarray(start, end);
+const encodeBinary = async (db, key, { value, codec, keyId }, fields = {}) => {
+	const valueFields = { ...fields };
+	if (codec) {
+		valueFields.codec = codec;
+	}
+	if (keyId) {
+		valueFields.keyId = keyId;
+	}
+	if (db.gridFS && value.length > db.gridFS.threshold) {
+		const fileId = await db.uploadFile(value, key.docName, key);
+		return [{ key, values: { ...valueFields, fileId, size: value.length } }];
+	}
+	if (value.length <= MAX_DOCUMENT_SIZE) {
+		return [{ key, values: { ...valueFields, value } }];
+	}
 
-			putPromises.push(
-				db.put({ ...createDocumentUpdateKey(docName, clock + 1), part: i + 1 }, { value: chunk }),
-			);
-		}
+	const totalChunks = Math.ceil(value.length / MAX_DOCUMENT_SIZE);
+	const docs = [];
+	for (let i = 0; i < totalChunks; i++) {
+		const start = i * MAX_DOCUMENT_SIZE;
+		const end = Math.min(start + MAX_DOCUMENT_SIZE, value.length);
+		const chunk = value.subarray(start, end);
 
-		await Promise.all(putPromises);
+		docs.push({
+			key: { ...key, part: i + 1 },
+			values: { ...valueFields, partCount: totalChunks, value: chunk },
+		});
 	}
-
-	return clock + 1;
+	return docs;
 };
 
 /**
- * Encodes the state vector with the clock and the state vector Uint8Array.
- * @param {number} clock
- * @param {Uint8Array} sv
- * @return {Uint8Array}
+ * Compress, encrypt and store a binary value with the given key.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {import('mongodb').Filter<import('mongodb').Document>} key
+ * @param {Uint8Array} value
+ * @param {import('mongodb').Document} [fields] Additional fields stored with every document
+ * @return {Promise<{storedSize: number, parts: number, gridFS: boolean}>}
  */
-const encodeStateVector = (clock, sv) => {
-	const encoder = encoding.createEncoder();
-	encoding.writeVarUint(encoder, clock);
-	encoding.writeVarUint8Array(encoder, sv);
-	return encoding.toUint8Array(encoder);
-};
-
-/**
- * for network related and bulk write errors, retry connecting
- * can use to retry anyways, regardless of the error type
-*/
-const retryMongoOperation = async (task, retries = 3, delay = 1000) => {
-	let lastError;
-	for (let attempt = 1; attempt <= retries; attempt++) {
-	  try {
-		return await task();
-	  } catch (error) {
-		if (error instanceof MongoNetworkError || error instanceof MongoNetworkTimeoutError || error instanceof MongoBulkWriteError) {
-		  lastError = error;
-		  if (attempt < retries) {
-			console.warn(`Attempt ${attempt} failed. Retrying in ${delay}ms`, error);
-			await new Promise(res => setTimeout(res, delay));
-		  } else {
-			console.error("Final attempt failed:", error);
-		  }
-		} else {
-		  throw error;
-		}
-	  }
-	}
-	throw lastError;
+const putBinary = async (db, key, value, fields = {}) => {
+	const encoded = await encodeValue(db, key.docName, value);
+	const docs = await encodeBinary(db, key, encoded, fields);
+	await Promise.all(docs.map((doc) => db.put(doc.key, doc.values)));
+	return {
+		storedSize: encoded.value.length,
+		parts: docs.length,
+		gridFS: docs[0].values.fileId !== undefined,
+	};
 };
 
 /**
  * @param {import('./mongo-adapter.js').MongoAdapter} db
- * @param {Object<string, Uint8Array>} updatesMap - Key-value pairs where the key is docName and the value is the update
+ * @param {string} docName
+ * @param {Uint8Array} update
+ * @param {import('mongodb').Document} [fields] Additional fields stored with the update
  * @return {Promise<number>} Returns the clock of the stored update
  */
-export const storeUpdates = async (db, updatesMap) => {
-	let clock = -1; // for initial conversion
-
-	/** @type {Record<string, { query: import('mongodb').Filter<import('mongodb').Document>, value: import('mongodb').UpdateFilter<import('mongodb').Document> }>} */
-	const stateVectorMap = {};
+export const storeUpdate = async (db, docName, update, fields = {}) => {
+	const start = Date.now();
+	let clock;
+	let stored;
+	try {
+		// merged updates dont change the document
+		const stats = fields.checkpoint ? {} : createStoredStats(update.length);
+		clock = await allocateUpdateClock(db, docName, 1, stats);
+		if (clock === 0) {
+			// make sure that a state vector is always written, so we can search for available documents
+			const ydoc = new Y.Doc();
+			Y.applyUpdate(ydoc, update);
+			const sv = Y.encodeStateVector(ydoc);
+			await writeStateVector(db, docName, sv, 0);
+		}
 
-	/** @type {Record<string, { query: import('mongodb').Filter<import('mongodb').Document>, value: import('mongodb').UpdateFilter<import('mongodb').Document> }>} */
-	const updateMap = {};
+		stored = await putBinary(db, createDocumentUpdateKey(docName, clock), update, {
+			...fields,
+			createdAt: new Date(),
+		});
+	} catch (err) {
+		if (err instanceof PersistenceError) {
+			throw err;
+		}
+		throw new PersistenceWriteError(`Couldnt store an update of document "${docName}"`, err);
+	}
+	// merged updates are reported as document:flushed
+	if (!fields.checkpoint) {
+		db.emit('update:stored', {
+			docName,
+			clock,
+			size: update.length,
+			...stored,
+			duration: Date.now() - start,
+		});
+	}
 
-	await Promise.all(
-		Object.entries(updatesMap).map(async ([docName, update]) => {
-			if (clock === -1) {
-				// Ensure state vector is written
-				const ydoc = new Y.Doc();
-				Y.applyUpdate(ydoc, update);
-				const sv = Y.encodeStateVector(ydoc);
-				// await writeStateVector(db, docName, sv, 0);
-				// Store state vector in stateVectorMap
-				stateVectorMap[docName] = {
-					query: createDocumentStateVectorKey(docName),
-					value: {
-						value: encodeStateVector(clock, sv),
-					},
-				};
-			}
+	return clock;
+};
 
-			if (update.length <= MAX_DOCUMENT_SIZE) {
-				updateMap[docName] = {
-					query: createDocumentUpdateKey(docName, clock + 1),
-					value: {
-						value: update,
-					},
-				};
-			} else {
-				const totalChunks = Math.ceil(update.length / MAX_DOCUMENT_SIZE);
-
-				Array.from({ length: totalChunks }).forEach((_, i) => {
-					const start = i * MAX_DOCUMENT_SIZE;
-					const end = Math.min(start + MAX_DOCUMENT_SIZE, update.length);
-					const chunk = update.subarray(start, end);
-
-					updateMap[`${docName}-part${i + 1}`] = {
-						query: { ...createDocumentUpdateKey(docName, clock + 1), part: i + 1 },
-						value: {
-							value: chunk,
-						},
-					};
-				});
+/**
+ * for network related and bulk write errors, retry connecting
+ * can use to retry anyways, regardless of the error type
+ *
+ * @template T
+ * @param {import('./mongo-adapter.js').MongoAdapter} db The failed attempts are emitted as retry events
+ * @param {string[]} docNames The documents that $task writes
+ * @param {function():Promise<T>} task
+ * @param {number} [retries] How often $task is called at most
+ * @param {number} [delay] Time (in ms) between the attempts
+ * @return {Promise<T>} Rejects with the error of the last attempt
+ */
+const retryMongoOperation = async (db, docNames, task, retries = 3, delay = 1000) => {
+	/**
+	 * @param {number} attempt
+	 * @return {Promise<T>}
+	 */
+	const tryTask = async (attempt) => {
+		try {
+			return await task();
+		} catch (error) {
+			if (
+				attempt < retries &&
+				(error instanceof MongoNetworkError ||
+					error instanceof MongoNetworkTimeoutError ||
+					error instanceof MongoBulkWriteError)
+			) {
+				db.emit('retry', { docNames, attempt, retries, delay, error });
+				await promise.wait(delay);
+				return tryTask(attempt + 1);
 			}
-		}),
-	);
-
-	// Use bulkPut method to store multiple documents in one operation with concurrency control
-	const bulkWriteWithConcurrency = async (map, concurrencyLimit) => {
-		const entries = Object.entries(map);
-		const batchOperations = [];
-		for (let i = 0; i < entries.length; i += concurrencyLimit) {
-			const chunk = Object.fromEntries(entries.slice(i, i + concurrencyLimit));
-			// const bulkWritePromise = db.bulkPut(chunk);
-		  	const bulkWritePromise = retryMongoOperation(() => db.bulkPut(chunk), 3, 1000);
-		  	batchOperations.push(bulkWritePromise);
-		  	const delay = t => new Promise(resolve => setTimeout(resolve, t));
-		  	//if limit reached, wait for current batch to finish
-		  	if (batchOperations.length >= concurrencyLimit) {
-				await Promise.all(batchOperations); //wait for current bulk operations
-				batchOperations.length = 0; //reset batchOperations for next set of operations
-				await delay(100);
-		  	}
-		}
-		//execute remaining operations if exist
-		if (batchOperations.length > 0) {
-		  await Promise.all(batchOperations);
+			throw error;
 		}
 	};
+	return tryTask(1);
+};
 
-	const concurrencyLimit = 50;
-	await Promise.all([
-		bulkWriteWithConcurrency(stateVectorMap, concurrencyLimit),
-		bulkWriteWithConcurrency(updateMap, concurrencyLimit)
-	]);
-	// await Promise.all([
-	// 	await db.bulkPut(stateVectorMap),
-	// 	await db.bulkPut(updateMap)
-	// ]);
+/**
+ * An update without any changes (no structs and an empty delete set).
+ *
+ * @param {Uint8Array} update
+ * @return {boolean}
+ */
+export const isEmptyUpdate = (update) => update.length === 2 && update[0] === 0 && update[1] === 0;
 
-	return clock+1;
+/**
+ * Merge document updates into one update and compute its state vector.
+ * This works directly on the binary updates, so no Y.Doc is created (which needs a lot more
+ * memory for big documents).
+ *
+ * @param {Array<Uint8Array>} updates
+ * @return {{update:Uint8Array, sv: Uint8Array}}
+ */
+export const mergeUpdates = (updates) => {
+	const update = Y.mergeUpdates(updates);
+	return { update, sv: Y.encodeStateVectorFromUpdate(update) };
 };
 
+// number of records per bulk write
+const BULK_WRITE_SIZE = 50;
+
 /**
- * @param {import('./mongo-adapter.js').MongoAdapter} db
- * @param {Object<string, Uint8Array>} updatesMap - Key-value pairs where the key is docName and the value is the update
- * @return {Promise<number>} Returns the clock of the stored update
+ * @typedef {Object<string, Uint8Array | Uint8Array[]>} UpdatesMap Key-value pairs where the key
+ * is the docName and the value is one or more updates of the document
  */
-export const insertUpdates = async (db, updatesMap) => {
-	let clock = -1; // for initial conversion
 
-	/** @type {Record<string, { query: import('mongodb').Filter<import('mongodb').Document>, value: import('mongodb').UpdateFilter<import('mongodb').Document> }>} */
-	const stateVectorMap = {};
-
-	/** @type {Record<string, { query: import('mongodb').Filter<import('mongodb').Document>, value: import('mongodb').UpdateFilter<import('mongodb').Document> }>} */
-	const updateMap = {};
+/**
+ * Store the updates of multiple documents with bulk writes. Each document continues with the
+ * next clocks of its own counter, so existing documents are neither overwritten nor duplicated.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {UpdatesMap} updatesMap
+ * @param {object} [opts]
+ * @param {boolean} [opts.insert] Insert the records instead of upserting them. Default: false
+ * @param {import('mongodb').Document} [opts.fields] Additional fields stored with every update
+ * @return {Promise<Record<string, number>>} The clock of the newest update of each document
+ */
+export const storeUpdates = async (db, updatesMap, opts = {}) => {
+	const { insert = false, fields = {} } = opts;
+	const start = Date.now();
+	/** @type {Record<string, number>} */
+	const clocks = {};
+	/** @type {Array<{key: import('mongodb').Filter<import('mongodb').Document>, values: import('mongodb').Document}>} */
+	const records = [];
+	/** @type {Array<Omit<import('./events.js').UpdateStoredEvent, 'duration'>>} */
+	const stored = [];
 
 	await Promise.all(
-		Object.entries(updatesMap).map(async ([docName, update]) => {
-			if (clock === -1) {
-				// Ensure state vector is written
-				const ydoc = new Y.Doc();
-				Y.applyUpdate(ydoc, update);
-				const sv = Y.encodeStateVector(ydoc);
-				// await writeStateVector(db, docName, sv, 0);
-				// Store state vector in stateVectorMap
-				stateVectorMap[docName] = {
-					query: createDocumentStateVectorKey(docName),
-					value: {
-						value: encodeStateVector(clock, sv),
-					},
-				};
+		Object.entries(updatesMap).map(async ([docName, value]) => {
+			const updates = Array.isArray(value) ? value : [value];
+			if (!updates.length) {
+				return;
 			}
-
-			if (update.length <= MAX_DOCUMENT_SIZE) {
-				updateMap[docName] = {
-					query: createDocumentUpdateKey(docName, clock + 1),
-					value: {
-						value: update,
-					},
-				};
-			} else {
-				const totalChunks = Math.ceil(update.length / MAX_DOCUMENT_SIZE);
-
-				Array.from({ length: totalChunks }).forEach((_, i) => {
-					const start = i * MAX_DOCUMENT_SIZE;
-					const end = Math.min(start + MAX_DOCUMENT_SIZE, update.length);
-					const chunk = update.subarray(start, end);
-
-					updateMap[`${docName}-part${i + 1}`] = {
-						query: { ...createDocumentUpdateKey(docName, clock + 1), part: i + 1 },
-						value: {
-							value: chunk,
-						},
-					};
-				});
+			const size = updates.reduce((sum, update) => sum + update.length, 0);
+			const lastClock = await allocateUpdateClock(
+				db,
+				docName,
+				updates.length,
+				createStoredStats(size),
+			);
+			const firstClock = lastClock - updates.length + 1;
+			clocks[docName] = lastClock;
+			if (firstClock === 0) {
+				// make sure that a state vector is always written, so we can search for available documents
+				await writeStateVector(db, docName, mergeUpdates(updates).sv, lastClock);
 			}
+			await Promise.all(
+				updates.map(async (update, i) => {
+					const clock = firstClock + i;
+					const encoded = await encodeValue(db, docName, update);
+					const docs = await encodeBinary(db, createDocumentUpdateKey(docName, clock), encoded, {
+						...fields,
+						createdAt: new Date(),
+					});
+					records.push(...docs);
+					stored.push({
+						docName,
+						clock,
+						size: update.length,
+						storedSize: encoded.value.length,
+						parts: docs.length,
+						gridFS: docs[0].values.fileId !== undefined,
+					});
+				}),
+			);
 		}),
 	);
 
-	await Promise.all([
-		await retryMongoOperation(() => db.bulkInsert(stateVectorMap), 3, 1000),
-		await retryMongoOperation(() => db.bulkInsert(updateMap), 3, 1000)
-	]);
-
-	return clock+1;
-};
+	const chunks = [];
+	for (let i = 0; i < records.length; i += BULK_WRITE_SIZE) {
+		chunks.push(records.slice(i, i + BULK_WRITE_SIZE));
+	}
+	try {
+		await chunks.reduce(
+			(previous, chunk) =>
+				previous.then(async () => {
+					if (insert) {
+						// inserts aren't retried, a retry would duplicate the records that were written
+						await db.bulkInsert(chunk);
+					} else {
+						const docNames = Array.from(new Set(chunk.map(({ key }) => key.docName)));
+						await retryMongoOperation(db, docNames, () => db.bulkPut(chunk), 3, 1000);
+					}
+				}),
+			Promise.resolve(),
+		);
+	} catch (err) {
+		throw new PersistenceWriteError('Couldnt store the updates of multiple documents', err);
+	}
 
-/**
- * For now this is a helper method that creates a Y.Doc and then re-encodes a document update.
- * In the future this will be handled by Yjs without creating a Y.Doc (constant memory consumption).
- *
- * @param {Array<Uint8Array>} updates
- * @return {{update:Uint8Array, sv: Uint8Array}}
- */
-export const mergeUpdates = (updates) => {
-	const ydoc = new Y.Doc();
-	ydoc.transact(() => {
-		for (let i = 0; i < updates.length; i++) {
-			Y.applyUpdate(ydoc, updates[i]);
-		}
-	});
-	return { update: Y.encodeStateAsUpdate(ydoc), sv: Y.encodeStateVector(ydoc) };
+	const duration = Date.now() - start;
+	stored.forEach((event) => db.emit('update:stored', { ...event, duration }));
+	return clocks;
 };
 
 /**
- * @param {import("mongodb").Binary} buf
+ * @param {import('mongodb').Document} doc The state vector record
+ * @param {Map<string, Uint8Array>} [keys] The key of the record if it is encrypted (see getDecryptionKeys)
  * @return {{ sv: Uint8Array, clock: number }}
  */
-export const decodeMongodbStateVector = (buf) => {
-	let decoder;
+export const decodeMongodbStateVector = (doc, keys = new Map()) => {
+	const buf = doc?.value;
+	let value;
 	if (Buffer.isBuffer(buf)) {
-		decoder = decoding.createDecoder(buf);
+		value = buf;
 	} else if (Buffer.isBuffer(buf?.buffer)) {
-		decoder = decoding.createDecoder(buf.buffer);
+		value = buf.buffer;
 	} else {
-		throw new Error('No buffer provided at decodeMongodbStateVector()');
+		throw new PersistenceError('No buffer provided at decodeMongodbStateVector()');
 	}
+	const decoder = decoding.createDecoder(decryptValue(doc, value, keys));
 	const clock = decoding.readVarUint(decoder);
 	const sv = decoding.readVarUint8Array(decoder);
 	return { sv, clock };
@@ -459,7 +719,7 @@ export const readStateVector = async (db, docName) => {
 		// no state vector created yet or no document exists
 		return { sv: null, clock: -1 };
 	}
-	return decodeMongodbStateVector(doc.value);
+	return decodeMongodbStateVector(doc, await getDecryptionKeys(db, [doc]));
 };
 
 /**
@@ -468,17 +728,626 @@ export const readStateVector = async (db, docName) => {
  */
 export const getAllSVDocs = async (db) => db.find({ version: 'v1_sv' });
 
+/**
+ * Compare two state vectors. Their encodings can differ for the same state, so they are decoded.
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @return {boolean}
+ */
+export const equalStateVectors = (a, b) => {
+	const decodedA = Y.decodeStateVector(a);
+	const decodedB = Y.decodeStateVector(b);
+	return (
+		decodedA.size === decodedB.size &&
+		Array.from(decodedA.entries()).every(([client, clock]) => decodedB.get(client) === clock)
+	);
+};
+
+/**
+ * @typedef {Object} DocumentInfo
+ * @property {string} docName
+ * @property {number} clock The clock of the newest update
+ * @property {number | null} size Size of the stored updates in bytes (before compression and
+ * encryption)
+ * @property {Date | null} createdAt When the first update was stored
+ * @property {Date | null} updatedAt When the last update was stored (flushes dont count)
+ * @property {Date | null} flushedAt When the updates were merged the last time
+ */
+
+/**
+ * @param {import('./mongo-adapter.js').ClockRecord} record
+ * @return {DocumentInfo}
+ */
+const toDocumentInfo = (record) => ({
+	docName: record._id,
+	clock: record.clock,
+	size: record.size ?? null,
+	createdAt: record.createdAt ?? null,
+	updatedAt: record.updatedAt ?? null,
+	flushedAt: record.flushedAt ?? null,
+});
+
+/**
+ * Count the updates of a document and the records they are stored in. The values arent loaded.
+ * The timestamps and the size are tracked when updates are stored, so they are null for documents
+ * that werent written since y-mongodb-provider started to track them.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @return {Promise<{ updates: number, parts: number, bytes: number, clock: number } & Omit<DocumentInfo, 'docName' | 'clock'>>}
+ * bytes is the stored size (after compression and encryption) and clock is -1 if there are no
+ * updates
+ */
+export const getDocumentStats = async (db, docName) => {
+	const [docs, record] = await Promise.all([
+		db.find(createDocumentUpdateKey(docName), {
+			projection: { clock: 1, fileId: 1, size: { $binarySize: '$value' } },
+		}),
+		db.getClockRecord(docName),
+	]);
+	const fileIds = docs.filter((doc) => doc.fileId).map((doc) => doc.fileId);
+	const fileBytes = fileIds.length ? await db.getFilesSize(fileIds) : 0;
+	const { size, createdAt, updatedAt, flushedAt } = record
+		? toDocumentInfo(record)
+		: { size: null, createdAt: null, updatedAt: null, flushedAt: null };
+	return {
+		updates: new Set(docs.map((doc) => doc.clock)).size,
+		parts: docs.length,
+		bytes: docs.reduce((sum, doc) => sum + (doc.size ?? 0), fileBytes),
+		clock: docs.length ? docs[docs.length - 1].clock : -1,
+		size,
+		createdAt,
+		updatedAt,
+		flushedAt,
+	};
+};
+
+/**
+ * @typedef {'updatedAt' | 'createdAt' | 'size' | 'docName'} DocumentSortKey
+ */
+
+/** @type {Record<DocumentSortKey, import('mongodb').Sort>} */
+export const DOCUMENT_SORT = {
+	updatedAt: { updatedAt: -1, _id: 1 },
+	createdAt: { createdAt: -1, _id: 1 },
+	size: { size: -1, _id: 1 },
+	docName: { _id: 1 },
+};
+
+/**
+ * List the documents with their timestamps and sizes.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {object} opts
+ * @param {Date} [opts.modifiedSince] Only the documents whose last update was stored after this
+ * @param {DocumentSortKey} opts.sortBy Timestamps and sizes are sorted descending
+ * @param {number} opts.limit 0 for all documents
+ * @return {Promise<DocumentInfo[]>}
+ */
+export const listDocuments = async (db, { modifiedSince, sortBy, limit }) => {
+	const records = await db.findClockRecords(
+		modifiedSince ? { updatedAt: { $gt: modifiedSince } } : {},
+		{ sort: DOCUMENT_SORT[sortBy], limit },
+	);
+	return records.map(toDocumentInfo);
+};
+
+/**
+ * @typedef {Object} DocumentVerification
+ * @property {string} docName
+ * @property {boolean} valid False if any errors were found
+ * @property {string[]} errors Problems that lose or corrupt data
+ * @property {string[]} warnings Problems that are fixed by the next flush
+ */
+
+/**
+ * Check that all updates of a document can be read and merged, that the stored state vector
+ * matches them and that the clock counter isnt behind the stored updates. Nothing is written.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @return {Promise<DocumentVerification>}
+ */
+export const verifyDocument = async (db, docName) => {
+	/** @type {string[]} */
+	const errors = [];
+	/** @type {string[]} */
+	const warnings = [];
+	/**
+	 * @param {unknown} err
+	 * @return {string}
+	 */
+	const message = (err) => (err instanceof Error ? err.message : String(err));
+
+	let clock = -1;
+	/** @type {Uint8Array | null} */
+	let sv = null;
+	try {
+		const res = await getMongoUpdatesAndClock(db, docName);
+		clock = res.clock;
+		sv = mergeUpdates(res.updates).sv;
+	} catch (err) {
+		errors.push(`The updates cant be read: ${message(err)}`);
+	}
+
+	try {
+		const stored = await readStateVector(db, docName);
+		if (!stored.sv) {
+			if (clock !== -1) {
+				warnings.push('No state vector is stored');
+			}
+		} else if (stored.clock > clock) {
+			errors.push(`The state vector (clock ${stored.clock}) is newer than the updates (${clock})`);
+		} else if (stored.clock < clock) {
+			warnings.push(
+				`The state vector (clock ${stored.clock}) is older than the updates (${clock})`,
+			);
+		} else if (sv && !equalStateVectors(stored.sv, sv)) {
+			errors.push('The state vector doesnt match the updates');
+		}
+	} catch (err) {
+		errors.push(`The state vector cant be read: ${message(err)}`);
+	}
+
+	const record = await db.getClockRecord(docName);
+	const counter = record ? record.clock : null;
+	if (counter !== null && counter < clock) {
+		errors.push(
+			`The clock counter (${counter}) is behind the updates (${clock}), new updates would overwrite them`,
+		);
+	}
+
+	if (clock === -1 && !errors.length && !warnings.length) {
+		errors.push('The document doesnt exist');
+	}
+	return { docName, valid: !errors.length, errors, warnings };
+};
+
+/**
+ * Move all updates with a clock between $from and $to into the history collection.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {import('./mongo-adapter.js').MongoAdapter} historyDb
+ * @param {string} docName
+ * @param {number} from Greater than or equal
+ * @param {number} to lower than (not equal)
+ * @return {Promise<void>}
+ */
+export const archiveUpdatesRange = async (db, historyDb, docName, from, to) => {
+	const docs = await db.find({
+		...createDocumentUpdateKey(docName),
+		clock: {
+			$gte: from,
+			$lt: to,
+		},
+	});
+	await historyDb.putMany(docs);
+	// the GridFS files are referenced by the history now
+	await db.delete(
+		{ ...createDocumentUpdateKey(docName), clock: { $gte: from, $lt: to } },
+		{ keepFiles: true },
+	);
+};
+
+/**
+ * A checkpoint contains all updates before this clock. Usually that is the clock of the
+ * checkpoint, unless other processes stored updates while the document got merged.
+ *
+ * @param {import('mongodb').Document} checkpoint
+ * @return {number}
+ */
+const getCheckpointStart = (checkpoint) => (checkpoint.mergedClock ?? checkpoint.clock - 1) + 1;
+
+/**
+ * Remove the updates from the history collection that are no longer covered by $retention.
+ * We only remove updates older than the newest checkpoint outside of the retention, so every
+ * state inside of the retention can still be restored.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} historyDb
+ * @param {string} docName
+ * @param {HistoryRetention} retention
+ * @param {number} clock The current clock of the document
+ * @return {Promise<void>}
+ */
+export const pruneHistory = async (historyDb, docName, retention, clock) => {
+	if (retention === true) {
+		return;
+	}
+	const outsideOfRetention =
+		'clocks' in retention
+			? { clock: { $lte: clock - retention.clocks } }
+			: { createdAt: { $lte: new Date(Date.now() - retention.days * DAY_IN_MS) } };
+	const checkpoint = await historyDb.findOne(
+		{ ...createDocumentUpdateKey(docName), ...outsideOfRetention, checkpoint: true },
+		{ reverse: true },
+	);
+	if (checkpoint) {
+		await clearUpdatesRange(historyDb, docName, 0, getCheckpointStart(checkpoint));
+	}
+};
+
 /**
  * Merge all MongoDB documents of the same yjs document together.
+ * When a $history is provided, the merged updates are moved into the history collection
+ * instead of being deleted.
+ *
  * @param {import('./mongo-adapter.js').MongoAdapter} db
  * @param {string} docName
  * @param {Uint8Array} stateAsUpdate
  * @param {Uint8Array} stateVector
+ * @param {object} [opts]
+ * @param {number} [opts.mergedClock] The clock of the newest update in $stateAsUpdate. Only the
+ * updates up to this clock are removed, so updates that other processes stored in the meantime
+ * are kept. Default: all updates before the flushed doc
+ * @param {number} [opts.mergedSize] The total size of the updates that were merged, to track the
+ * size of the document. Default: the size of $stateAsUpdate
+ * @param {{ db: import('./mongo-adapter.js').MongoAdapter, retention: HistoryRetention } | null} [opts.history]
  * @return {Promise<number>} returns the clock of the flushed doc
  */
-export const flushDocument = async (db, docName, stateAsUpdate, stateVector) => {
-	const clock = await storeUpdate(db, docName, stateAsUpdate);
-	await writeStateVector(db, docName, stateVector, clock);
-	await clearUpdatesRange(db, docName, 0, clock);
+export const flushDocument = async (db, docName, stateAsUpdate, stateVector, opts = {}) => {
+	const { mergedClock, mergedSize = stateAsUpdate.length, history = null } = opts;
+	// the merged update is a checkpoint: it contains everything that happened before
+	const clock = await storeUpdate(
+		db,
+		docName,
+		stateAsUpdate,
+		mergedClock === undefined ? { checkpoint: true } : { checkpoint: true, mergedClock },
+	);
+	await db.updateClockRecord(docName, createFlushedStats(mergedSize, stateAsUpdate.length));
+	const mergedUntil = mergedClock ?? clock - 1;
+	// if there are updates that are not part of the merged doc, the state vector is outdated
+	await writeStateVector(db, docName, stateVector, mergedUntil === clock - 1 ? clock : mergedUntil);
+	if (history) {
+		await archiveUpdatesRange(db, history.db, docName, 0, mergedUntil + 1);
+		await pruneHistory(history.db, docName, history.retention, clock);
+	} else {
+		await clearUpdatesRange(db, docName, 0, mergedUntil + 1);
+	}
 	return clock;
 };
+
+/**
+ * Get the updates that describe a document as it was at $clock.
+ * Those are the newest checkpoint up to $clock and all updates that are not part of it, from
+ * both the live and the history collection.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {import('./mongo-adapter.js').MongoAdapter} historyDb
+ * @param {string} docName
+ * @param {number} clock
+ * @return {Promise<Uint8Array[]>}
+ */
+export const getMongoUpdatesAtClock = async (db, historyDb, docName, clock) => {
+	const checkpoints = await Promise.all(
+		[db, historyDb].map((adapter) =>
+			adapter.findOne(
+				{ ...createDocumentUpdateKey(docName), clock: { $lte: clock }, checkpoint: true },
+				{ reverse: true },
+			),
+		),
+	);
+	const [checkpoint] = checkpoints
+		.filter((doc) => doc !== null)
+		.sort((a, b) => (b?.clock ?? 0) - (a?.clock ?? 0));
+	const from = checkpoint ? getCheckpointStart(checkpoint) : 0;
+	const query = { ...createDocumentUpdateKey(docName), clock: { $gte: from, $lte: clock } };
+	const [liveDocs, historyDocs] = await Promise.all([db.find(query), historyDb.find(query)]);
+
+	// an update might exist in both collections if archiving got interrupted
+	const liveClocks = new Set(liveDocs.map((doc) => doc.clock));
+	const docs = historyDocs
+		.filter((doc) => !liveClocks.has(doc.clock))
+		.concat(liveDocs)
+		.sort((a, b) => a.clock - b.clock || (a.part || 0) - (b.part || 0));
+
+	if (!docs.length && (await getCurrentUpdateClock(db, docName)) > clock) {
+		throw new NotFoundError(
+			`The history of document "${docName}" at clock ${clock} is not available`,
+		);
+	}
+	return readMongoUpdates(db, docs);
+};
+
+/**
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {import('./mongo-adapter.js').MongoAdapter} historyDb
+ * @param {string} docName
+ * @param {Date} date
+ * @return {Promise<number>} Returns the clock of the newest update stored until $date
+ * or -1 if there is none
+ */
+export const getUpdateClockAtDate = async (db, historyDb, docName, date) => {
+	const updates = await Promise.all(
+		[db, historyDb].map((adapter) =>
+			adapter.findOne(
+				{ ...createDocumentUpdateKey(docName), createdAt: { $lte: date } },
+				{ reverse: true },
+			),
+		),
+	);
+	return Math.max(-1, ...updates.map((update) => (update ? update.clock : -1)));
+};
+
+/**
+ * Store the merged state of a document as a named snapshot.
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {string} snapshotId
+ * @param {string} label
+ * @return {Promise<{ id: string, label: string, clock: number, createdAt: Date }>}
+ */
+export const storeSnapshot = async (db, docName, snapshotId, label) => {
+	const updates = await getMongoUpdates(db, docName);
+	const { update } = mergeUpdates(updates);
+	const clock = await getCurrentUpdateClock(db, docName);
+	const createdAt = new Date();
+	await putBinary(db, createDocumentSnapshotKey(docName, snapshotId), update, {
+		label,
+		clock,
+		createdAt,
+	});
+	return { id: snapshotId, label, clock, createdAt };
+};
+
+/**
+ * List all snapshots of a document without fetching their content.
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @return {Promise<{ id: string, label: string, clock: number, createdAt: Date }[]>}
+ */
+export const listSnapshots = async (db, docName) => {
+	const docs = await db.find(
+		// split snapshots are listed only once (by their first part)
+		{ ...createDocumentSnapshotKey(docName), part: { $in: [null, 1] } },
+		{ projection: { value: 0 } },
+	);
+	return docs
+		.map((doc) => ({
+			id: doc.snapshotId,
+			label: doc.label,
+			clock: doc.clock,
+			createdAt: doc.createdAt,
+		}))
+		.sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime());
+};
+
+/**
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {string} snapshotId
+ * @return {Promise<Uint8Array | null>} Returns null if the snapshot doesn't exist
+ */
+export const getSnapshotUpdate = async (db, docName, snapshotId) => {
+	const docs = await db.find(createDocumentSnapshotKey(docName, snapshotId));
+	const updates = await readMongoUpdates(db, docs);
+	return updates.length ? updates[0] : null;
+};
+
+/**
+ * Rewrite the stored updates and snapshots of a document with the current compression codec
+ * and encryption of $db. Their clocks don't change. The new documents are written before the
+ * old ones are deleted, so the content is never lost.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {string} [keyId] Encrypt with this key. Default: encrypted records keep their key and
+ * unencrypted records get the current key of the document
+ * @return {Promise<number>} The number of rewritten updates and snapshots
+ */
+export const rewriteDocument = async (db, docName, keyId) => {
+	const docs = (await db.find(createDocumentUpdateKey(docName))).concat(
+		await db.find(createDocumentSnapshotKey(docName)),
+	);
+	/** @type {Map<string, import('mongodb').Document[]>} */
+	const groups = new Map();
+	docs.forEach((doc) => {
+		const groupKey = doc.snapshotId === undefined ? `u${doc.clock}` : `s${doc.snapshotId}`;
+		if (!groups.has(groupKey)) {
+			groups.set(groupKey, []);
+		}
+		groups.get(groupKey)?.push(doc);
+	});
+
+	let rewritten = 0;
+	// one value after another, so only one of them is in memory at a time
+	await Array.from(groups.values()).reduce(async (prev, group) => {
+		await prev;
+		const [first] = group;
+		const targetKeyId = keyId ?? first.keyId;
+		const hasTargetKey = targetKeyId === undefined ? !db.encryption : first.keyId === targetKeyId;
+		if ((first.codec ?? null) === db.compression && hasTargetKey) {
+			return;
+		}
+		const [value] = await readMongoUpdates(db, group);
+		const encoded = await encodeValue(db, docName, value, targetKeyId);
+		if ((first.codec ?? null) === encoded.codec && (first.keyId ?? null) === encoded.keyId) {
+			return;
+		}
+
+		// eslint-disable-next-line no-unused-vars
+		const { _id, value: _, codec, keyId: __, fileId, size, part, partCount, ...fields } = first;
+		const key =
+			first.snapshotId === undefined
+				? createDocumentUpdateKey(docName, first.clock)
+				: createDocumentSnapshotKey(docName, first.snapshotId);
+		const newDocs = await encodeBinary(db, key, encoded, fields);
+		await db.putMany(newDocs.map((doc) => ({ _id: new ObjectId(), ...doc.key, ...doc.values })));
+		await db.delete({ docName, _id: { $in: group.map((doc) => doc._id) } });
+		rewritten += 1;
+	}, Promise.resolve());
+	return rewritten;
+};
+
+/**
+ * Copy a record of a document into the layout of $target. The GridFS file of a record is uploaded
+ * again (or stored in the record, depending on the option gridFS of $target), so the copy doesnt
+ * reference the files of $source, which are deleted with the source document. The stored value is
+ * copied as it is, so it stays compressed and encrypted.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} source
+ * @param {import('./mongo-adapter.js').MongoAdapter} target
+ * @param {import('mongodb').Document} doc
+ * @return {Promise<import('mongodb').Document[]>} The records of the copy
+ */
+export const copyRecord = async (source, target, doc) => {
+	if (!doc.fileId) {
+		return [doc];
+	}
+	// eslint-disable-next-line no-unused-vars
+	const { _id, fileId, size, codec = null, keyId = null, ...key } = doc;
+	const value = await source.downloadFile(fileId);
+	const docs = await encodeBinary(target, key, { value, codec, keyId });
+	// a single record keeps its _id, so copying the document again overwrites it
+	return docs.map((copy) => ({
+		_id: docs.length === 1 ? _id : new ObjectId(),
+		...copy.key,
+		...copy.values,
+	}));
+};
+
+/**
+ * Encrypt a meta value if the option "encryption" is set. Encrypted values are serialized
+ * with BSON first.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {any} value
+ * @param {string} [keyId]
+ * @return {Promise<{ value: any, keyId: string | undefined }>}
+ */
+export const encodeMetaValue = async (db, docName, value, keyId) => {
+	if (!db.encryption) {
+		// unset the key of an encrypted value if encryption got disabled
+		return { value, keyId: undefined };
+	}
+	const encrypted = await encryptValue(db, docName, BSON.serialize({ value }), keyId);
+	return { value: encrypted.value, keyId: encrypted.keyId ?? undefined };
+};
+
+/**
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {import('mongodb').Document} doc The meta record
+ * @return {Promise<any>}
+ */
+export const decodeMetaValue = async (db, doc) => {
+	if (!doc.keyId) {
+		return doc.value;
+	}
+	const keys = await getDecryptionKeys(db, [doc]);
+	return BSON.deserialize(decryptValue(doc, doc.value.buffer, keys)).value;
+};
+
+/**
+ * Encrypt the state vector and the meta values of a document with $keyId.
+ *
+ * @param {import('./mongo-adapter.js').MongoAdapter} db
+ * @param {string} docName
+ * @param {string} keyId
+ * @return {Promise<number>} The number of rewritten records
+ */
+export const reencryptStateVectorAndMeta = async (db, docName, keyId) => {
+	const docs = await db.find({
+		docName,
+		$or: [{ version: 'v1_sv' }, { version: 'v1', metaKey: { $exists: true } }],
+		keyId: { $ne: keyId },
+	});
+	await Promise.all(
+		docs.map(async (doc) => {
+			const key = { _id: doc._id, version: doc.version, docName };
+			if (doc.version === 'v1_sv') {
+				const keys = await getDecryptionKeys(db, [doc]);
+				const value = decryptValue(doc, doc.value.buffer, keys);
+				await db.put(key, await encryptValue(db, docName, value, keyId));
+			} else {
+				const value = await decodeMetaValue(db, doc);
+				await db.put(key, await encodeMetaValue(db, docName, value, keyId));
+			}
+		}),
+	);
+	return docs.length;
+};
+
+/**
+ * Root types of a Y.Doc that was created from an update are untyped until someone calls
+ * `ydoc.getText(name)` etc. We guess their type from their content.
+ *
+ * @param {Y.AbstractType<any>} type
+ * @return {typeof Y.AbstractType<any> | null} Returns null if the type can't be determined
+ */
+const guessRootTypeConstructor = (type) => {
+	if (type.constructor !== Y.AbstractType) {
+		return /** @type {any} */ (type.constructor);
+	}
+	for (let item = type._start; item !== null; item = item.right) {
+		const { content } = item;
+		if (
+			content instanceof Y.ContentString ||
+			content instanceof Y.ContentFormat ||
+			content instanceof Y.ContentEmbed
+		) {
+			return Y.Text;
+		}
+		if (
+			content instanceof Y.ContentType &&
+			(content.type instanceof Y.XmlElement ||
+				content.type instanceof Y.XmlText ||
+				content.type instanceof Y.XmlHook)
+		) {
+			return Y.XmlFragment;
+		}
+		if (!(content instanceof Y.ContentDeleted)) {
+			return Y.Array;
+		}
+	}
+	if (type._map.size > 0) {
+		return Y.Map;
+	}
+	return null;
+};
+
+/**
+ * Compute an update that reverts all changes made to a document since a snapshot.
+ * Applying it to the current state produces the content of the snapshot without
+ * discarding the history (so it can be synced to clients like any other update).
+ *
+ * Adjusted from: https://discuss.yjs.dev/t/is-there-a-way-to-revert-to-specific-version/379
+ *
+ * @param {Uint8Array} currentUpdate The merged current state of the document
+ * @param {Uint8Array} snapshotUpdate The merged state of the document at the snapshot
+ * @return {Uint8Array}
+ */
+export const createRevertUpdate = (currentUpdate, snapshotUpdate) => {
+	const revertOrigin = {};
+	const currentDoc = new Y.Doc();
+	Y.applyUpdate(currentDoc, currentUpdate);
+	const snapshotDoc = new Y.Doc();
+	Y.applyUpdate(snapshotDoc, snapshotUpdate);
+
+	// the undo manager only tracks typed root types - including the ones created after the snapshot
+	/** @type {Y.AbstractType<any>[]} */
+	const scope = [];
+	currentDoc.share.forEach((currentType, name) => {
+		const snapshotType = snapshotDoc.share.get(name);
+		const Constr =
+			(snapshotType && guessRootTypeConstructor(snapshotType)) ||
+			guessRootTypeConstructor(currentType);
+		if (Constr) {
+			scope.push(snapshotDoc.get(name, Constr));
+		}
+	});
+	const undoManager = new Y.UndoManager(scope, {
+		trackedOrigins: new Set([revertOrigin]),
+	});
+
+	const currentStateVector = Y.encodeStateVector(currentDoc);
+	const changesSinceSnapshot = Y.encodeStateAsUpdate(currentDoc, Y.encodeStateVector(snapshotDoc));
+	Y.applyUpdate(snapshotDoc, changesSinceSnapshot, revertOrigin);
+	undoManager.undo();
+
+	const revertUpdate = Y.encodeStateAsUpdate(snapshotDoc, currentStateVector);
+	undoManager.destroy();
+	currentDoc.destroy();
+	snapshotDoc.destroy();
+	return revertUpdate;
+};
@@ -0,0 +1,121 @@
+import * as Y from 'yjs';
+
+/**
+ * @typedef {Object} BufferOptions
+ * @property {number} maxDelayMs How long an update may stay in memory before it is written
+ * @property {number} maxBytes Write the buffered updates of a document once they reach this size
+ * @property {'throw'|'warn'} errorMode With "throw", the promises of the updates reject if they
+ * couldnt be written. With "warn", the error is logged and they resolve with null
+ */
+
+/**
+ * @typedef {Object} PendingUpdates
+ * @property {Uint8Array[]} updates
+ * @property {number} size
+ * @property {ReturnType<typeof setTimeout>} timeout
+ * @property {Array<{resolve: function(number | null):void, reject: function(unknown):void}>} callbacks
+ * Resolved with the clock of the written record
+ */
+
+/**
+ * Collects the updates of each document in memory and writes them as one merged update.
+ * The writes of a document happen one after another, so they are stored in the same order as
+ * they were added.
+ */
+export class WriteBuffer {
+	/**
+	 * @param {BufferOptions} opts
+	 * @param {function(string, Uint8Array):Promise<number>} write Stores an update of a document
+	 * and returns its clock
+	 */
+	constructor({ maxDelayMs, maxBytes, errorMode }, write) {
+		this.maxDelayMs = maxDelayMs;
+		this.maxBytes = maxBytes;
+		this.errorMode = errorMode;
+		this.write = write;
+		/** @type {Map<string, PendingUpdates>} */
+		this.pending = new Map();
+		/** @type {Map<string, Promise<void>>} */
+		this.writing = new Map();
+	}
+
+	/**
+	 * Add an update to the buffer of a document. The first update of a document starts the
+	 * flush window, so no update waits longer than $maxDelayMs.
+	 *
+	 * @param {string} docName
+	 * @param {Uint8Array} update
+	 * @return {Promise<number | null>} Resolves with the clock of the record that contains the
+	 * update once it is written. If writing failed, it rejects (errorMode "throw") or resolves
+	 * with null
+	 */
+	add(docName, update) {
+		let pending = this.pending.get(docName);
+		if (!pending) {
+			pending = {
+				updates: [],
+				size: 0,
+				timeout: setTimeout(() => {
+					this.flush(docName);
+				}, this.maxDelayMs),
+				callbacks: [],
+			};
+			this.pending.set(docName, pending);
+		}
+		pending.updates.push(update);
+		pending.size += update.length;
+		/** @type {Promise<number | null>} */
+		const stored = new Promise((resolve, reject) => {
+			pending?.callbacks.push({ resolve, reject });
+		});
+		if (pending.size >= this.maxBytes) {
+			this.flush(docName);
+		}
+		return stored;
+	}
+
+	/**
+	 * Write the buffered updates of a document.
+	 *
+	 * @param {string} docName
+	 * @return {Promise<void>} Resolves once all updates of the document that were added until now
+	 * are written
+	 */
+	flush(docName) {
+		const pending = this.pending.get(docName);
+		if (pending) {
+			this.pending.delete(docName);
+			clearTimeout(pending.timeout);
+			const previousWrite = this.writing.get(docName) ?? Promise.resolve();
+			const writing = previousWrite.then(async () => {
+				try {
+					const clock = await this.write(docName, Y.mergeUpdates(pending.updates));
+					pending.callbacks.forEach(({ resolve }) => resolve(clock));
+				} catch (err) {
+					if (this.errorMode === 'throw') {
+						pending.callbacks.forEach(({ reject }) => reject(err));
+					} else {
+						// eslint-disable-next-line no-console
+						console.warn(`Couldnt write the buffered updates of document "${docName}"`, err);
+						pending.callbacks.forEach(({ resolve }) => resolve(null));
+					}
+				}
+				if (this.writing.get(docName) === writing) {
+					this.writing.delete(docName);
+				}
+			});
+			this.writing.set(docName, writing);
+		}
+		return this.writing.get(docName) ?? Promise.resolve();
+	}
+
+	/**
+	 * Write the buffered updates of all documents.
+	 *
+	 * @return {Promise<void>}
+	 */
+	async flushAll() {
+		const docNames = new Set([...this.pending.keys(), ...this.writing.keys()]);
+		await Promise.all(Array.from(docNames).map((docName) => this.flush(docName)));
+	}
+}
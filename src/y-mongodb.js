@@ -1,10 +1,60 @@
+/* eslint-disable max-classes-per-file */
 import * as Y from 'yjs';
 import * as binary from 'lib0/binary';
 import * as promise from 'lib0/promise';
+import { ObservableV2 } from 'lib0/observable';
+import { MongoClient } from 'mongodb';
+import * as random from 'lib0/random';
 import { MongoAdapter } from './mongo-adapter.js';
+import { subscribeToUpdates } from './subscription.js';
+import { DocumentLocks } from './lock.js';
+import {
+	EncryptionError,
+	InvalidConnectionError,
+	NotFoundError,
+	PersistenceError,
+} from './errors.js';
+import { CODECS } from './compression.js';
+import { WriteBuffer } from './write-buffer.js';
+import { migrateLayout } from './migrate.js';
+import { exportArchive, importArchive } from './archive.js';
+import { getUpdateLog, storeUpdateWithContext } from './audit.js';
+import { ProjectionQueue, SHARED_TYPE_NAMES, createProjection } from './projection.js';
+import { CompactionScheduler, compactCandidates, findCompactionCandidates } from './compaction.js';
 import * as U from './utils.js';
 
-export class MongodbPersistence {
+export { createYWebsocketPersistence } from './y-websocket.js';
+export { MongodbHocuspocusExtension } from './hocuspocus.js';
+export { hashedCollectionResolver, encodedCollectionResolver } from './collection-resolver.js';
+export {
+	PersistenceError,
+	InvalidConnectionError,
+	PersistenceWriteError,
+	MissingUpdatePartError,
+	EncryptionError,
+	LockTimeoutError,
+	NotFoundError,
+	InvalidCollectionNameError,
+} from './errors.js';
+
+/**
+ * @param {Uint8Array[]} updates
+ * @return {Y.Doc}
+ */
+const createYDocFromUpdates = (updates) => {
+	const ydoc = new Y.Doc();
+	ydoc.transact(() => {
+		for (let i = 0; i < updates.length; i++) {
+			Y.applyUpdate(ydoc, updates[i]);
+		}
+	});
+	return ydoc;
+};
+
+/**
+ * @extends {ObservableV2<import('./events.js').PersistenceEvents>}
+ */
+export class MongodbPersistence extends ObservableV2 {
 	/**
 	 * Create a y-mongodb persistence instance.
 	 * @param {string|{client: import('mongodb').MongoClient, db: import('mongodb').Db}} connectionObj A MongoDB connection string or an object containing a MongoClient instance (`client`) and a database instance (`db`).
@@ -14,11 +64,70 @@ export class MongodbPersistence {
 	 * @param {boolean} [opts.multipleCollections] When set to true, each document gets
 	 * an own collection (instead of all documents stored in the same one). When set to true,
 	 * the option collectionName gets ignored. Default: false
+	 * @param {import('./collection-resolver.js').CollectionResolver} [opts.collectionResolver] Maps
+	 * the docNames to their collections if multipleCollections is set, e.g. to escape invalid
+	 * characters or to share collections between documents. The collection of each document is
+	 * stored in the collection "<collectionName>-registry". Default: the docName is used
 	 * @param {number} [opts.flushSize] The number of stored transactions needed until
 	 * they are merged automatically into one Mongodb document. Default: 400
+	 * @param {boolean|{days: number}|{clocks: number}} [opts.historyRetention] When set, merged
+	 * updates are moved into a history collection instead of being deleted. `true` keeps all
+	 * updates, `{ days }` keeps the updates of the last n days and `{ clocks }` the last n clocks.
+	 * Default: false
+	 * @param {string} [opts.historyCollectionName] Name of the collection where the history of all
+	 * documents is stored. Default: "<collectionName>-history"
+	 * @param {number} [opts.lockTimeout] How long (in ms) to wait for the lock of a document
+	 * before a flush fails. Locks are held while documents are merged, so multiple servers can
+	 * safely use the same database. Default: 10000
+	 * @param {boolean} [opts.autoIndex] When set to true, the recommended compound index is
+	 * created the first time a collection is written. Default: true
+	 * @param {boolean|{bucketName?: string, threshold?: number}} [opts.gridFS] When set, updates
+	 * (and merged documents) larger than `threshold` bytes are stored in the GridFS bucket
+	 * `bucketName` instead of being split into multiple MongoDB documents.
+	 * Default: false. Default bucketName: "<collectionName>", default threshold: ~15MB
+	 * @param {false|import('./compression.js').Codec} [opts.compression] Compress the stored
+	 * updates with "gzip", "deflate" or "brotli". Uncompressed records can still be read.
+	 * Default: false
+	 * @param {import('./encryption.js').EncryptionOptions} [opts.encryption] Encrypt the stored
+	 * updates, state vectors and meta values with AES-256-GCM. The `keyProvider` is called with
+	 * `(docName, keyId?)` and returns `{ keyId, key }`. Without a keyId, it returns the key that is
+	 * used for new records of the document. Default: no encryption
+	 * @param {false|{maxDelayMs?: number, maxBytes?: number}} [opts.bufferWrites] When set,
+	 * storeUpdate collects the updates of each document in memory and stores them as one merged
+	 * update after `maxDelayMs` (default: 1000) or once they reach `maxBytes` (default: 1000000).
+	 * Default: false
+	 * @param {false|{types: Object<string, import('./projection.js').SharedTypeName>, debounceMs?: number, maxWaitMs?: number, collectionName?: string}} [opts.projection]
+	 * When set, the JSON (`toJSON`) of the top-level shared `types` (e.g. `{ title: 'Map' }`) is
+	 * stored in the collection `collectionName` after documents change, so they can be searched
+	 * with findDocuments. A document is projected once it didnt change for `debounceMs`
+	 * (default: 1000), but at least every `maxWaitMs` (default: 10000).
+	 * The projections are not encrypted, so this cant be used with the option encryption.
+	 * Default: false. Default collectionName: "<collectionName>-projection"
+	 * @param {'throw'|'warn'} [opts.errorMode] How failed operations are reported. With "throw"
+	 * (recommended), the promise of the method rejects. With "warn", the error is logged and the
+	 * promise resolves with null. Default: "warn"
+	 * @param {boolean} [opts.closeClient] Close the MongoClient in destroy and flushDB. Set this to
+	 * false if the client is shared with other code. Default: true
 	 */
 	constructor(connectionObj, opts = {}) {
-		const { collectionName = 'yjs-writings', multipleCollections = false, flushSize = 400 } = opts;
+		super();
+		const {
+			collectionName = 'yjs-writings',
+			multipleCollections = false,
+			collectionResolver,
+			flushSize = 400,
+			historyRetention = false,
+			historyCollectionName = `${collectionName}-history`,
+			lockTimeout = 10000,
+			autoIndex = true,
+			gridFS = false,
+			compression = false,
+			encryption,
+			bufferWrites = false,
+			projection = false,
+			errorMode = 'warn',
+			closeClient = true,
+		} = opts;
 		if (typeof collectionName !== 'string' || !collectionName) {
 			throw new Error(
 				'Constructor option "collectionName" is not a valid string. Either dont use this option (default is "yjs-writings") or use a valid string! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
@@ -29,22 +138,226 @@ export class MongodbPersistence {
 				'Constructor option "multipleCollections" is not a boolean. Either dont use this option (default is "false") or use a valid boolean! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
 			);
 		}
+		if (
+			collectionResolver !== undefined &&
+			(typeof collectionResolver !== 'function' || !multipleCollections)
+		) {
+			throw new Error(
+				'Constructor option "collectionResolver" is not valid. Either dont use this option or use a function together with "multipleCollections: true"! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
 		if (typeof flushSize !== 'number' || flushSize <= 0) {
 			throw new Error(
 				'Constructor option "flushSize" is not a valid number. Either dont use this option (default is "400") or use a valid number larger than 0! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
 			);
 		}
+		if (
+			historyRetention !== false &&
+			historyRetention !== true &&
+			!(
+				typeof historyRetention === 'object' &&
+				(('days' in historyRetention && historyRetention.days > 0) ||
+					('clocks' in historyRetention && historyRetention.clocks >= 0))
+			)
+		) {
+			throw new Error(
+				'Constructor option "historyRetention" is not valid. Either dont use this option (default is "false") or use a boolean, { days: number } or { clocks: number }! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		if (typeof historyCollectionName !== 'string' || !historyCollectionName) {
+			throw new Error(
+				'Constructor option "historyCollectionName" is not a valid string. Either dont use this option (default is "<collectionName>-history") or use a valid string! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		if (typeof lockTimeout !== 'number' || lockTimeout < 0) {
+			throw new Error(
+				'Constructor option "lockTimeout" is not a valid number. Either dont use this option (default is "10000") or use a valid number larger or equal than 0! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		if (typeof autoIndex !== 'boolean') {
+			throw new Error(
+				'Constructor option "autoIndex" is not a boolean. Either dont use this option (default is "true") or use a valid boolean! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		if (
+			typeof gridFS !== 'boolean' &&
+			!(
+				typeof gridFS === 'object' &&
+				gridFS !== null &&
+				(gridFS.bucketName === undefined ||
+					(typeof gridFS.bucketName === 'string' && gridFS.bucketName)) &&
+				(gridFS.threshold === undefined ||
+					(typeof gridFS.threshold === 'number' && gridFS.threshold >= 0))
+			)
+		) {
+			throw new Error(
+				'Constructor option "gridFS" is not valid. Either dont use this option (default is "false") or use a boolean or { bucketName?: string, threshold?: number }! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		/** @type {import('./mongo-adapter.js').GridFSOptions | null} */
+		let gridFSOptions = null;
+		if (gridFS) {
+			gridFSOptions = { bucketName: collectionName, threshold: U.MAX_DOCUMENT_SIZE };
+			if (gridFS !== true) {
+				Object.assign(gridFSOptions, gridFS);
+			}
+		}
+		if (compression !== false && !CODECS.includes(compression)) {
+			throw new Error(
+				'Constructor option "compression" is not valid. Either dont use this option (default is "false") or use "gzip", "deflate" or "brotli"! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		if (
+			encryption !== undefined &&
+			!(
+				typeof encryption === 'object' &&
+				encryption !== null &&
+				typeof encryption.keyProvider === 'function'
+			)
+		) {
+			throw new Error(
+				'Constructor option "encryption" is not valid. Either dont use this option or use { keyProvider: function }! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		if (
+			bufferWrites !== false &&
+			!(
+				typeof bufferWrites === 'object' &&
+				bufferWrites !== null &&
+				(bufferWrites.maxDelayMs === undefined ||
+					(typeof bufferWrites.maxDelayMs === 'number' && bufferWrites.maxDelayMs >= 0)) &&
+				(bufferWrites.maxBytes === undefined ||
+					(typeof bufferWrites.maxBytes === 'number' && bufferWrites.maxBytes > 0))
+			)
+		) {
+			throw new Error(
+				'Constructor option "bufferWrites" is not valid. Either dont use this option (default is "false") or use { maxDelayMs?: number, maxBytes?: number }! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		if (
+			projection !== false &&
+			!(
+				typeof projection === 'object' &&
+				projection !== null &&
+				typeof projection.types === 'object' &&
+				projection.types !== null &&
+				Object.keys(projection.types).length > 0 &&
+				Object.values(projection.types).every((type) => SHARED_TYPE_NAMES.includes(type)) &&
+				(projection.debounceMs === undefined ||
+					(typeof projection.debounceMs === 'number' && projection.debounceMs >= 0)) &&
+				(projection.maxWaitMs === undefined ||
+					(typeof projection.maxWaitMs === 'number' && projection.maxWaitMs >= 0)) &&
+				(projection.collectionName === undefined ||
+					(typeof projection.collectionName === 'string' && projection.collectionName))
+			)
+		) {
+			throw new Error(
+				'Constructor option "projection" is not valid. Either dont use this option (default is "false") or use { types: { [name]: "Map" | "Array" | "Text" | "XmlFragment" }, debounceMs?: number, maxWaitMs?: number, collectionName?: string }! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		// the projections are stored as plaintext, so they can be searched
+		if (projection !== false && encryption !== undefined) {
+			throw new Error(
+				'Constructor options "projection" and "encryption" cant be used together, because the projections are stored unencrypted! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		if (errorMode !== 'throw' && errorMode !== 'warn') {
+			throw new Error(
+				'Constructor option "errorMode" is not valid. Either dont use this option (default is "warn") or use "throw" or "warn"! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		if (typeof closeClient !== 'boolean') {
+			throw new Error(
+				'Constructor option "closeClient" is not a boolean. Either dont use this option (default is "true") or use a valid boolean! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistence--mongodbpersistenceconnectionlink-string-options-object',
+			);
+		}
+		/** @type {import('./events.js').Emit} */
+		const emit = (name, event) => this._emit(name, event);
 		const db = new MongoAdapter(connectionObj, {
 			collection: collectionName,
 			multipleCollections,
+			collectionResolver: collectionResolver ?? null,
+			projectionCollection: projection ? projection.collectionName : undefined,
+			autoIndex,
+			gridFS: gridFSOptions,
+			compression: compression || null,
+			encryption: encryption ?? null,
+			emit,
+			closeClient,
 		});
+		this._db = db;
 		this.flushSize = flushSize ?? U.PREFERRED_TRIM_SIZE;
 		this.multipleCollections = multipleCollections;
+		this.collectionResolver = collectionResolver ?? null;
+		this.errorMode = errorMode;
+		/** @type {U.HistoryRetention | false} */
+		this.historyRetention = historyRetention;
+
+		// the history of all documents is stored in one collection - also with multipleCollections
+		this._historyDb = new MongoAdapter(
+			{ client: db.client, db: db.db },
+			{
+				collection: historyCollectionName,
+				multipleCollections: false,
+				autoIndex,
+				// archived updates keep referencing their files
+				gridFS: gridFSOptions,
+				compression: compression || null,
+				encryption: encryption ?? null,
+				emit,
+			},
+		);
+
+		// identifies the updates written by this instance, so subscriptions can skip them
+		this._instanceId = random.uuidv4();
+		this._locks = new DocumentLocks(db, this._instanceId, lockTimeout);
+		/** @type {Set<function():Promise<void>>} */
+		this._subscriptions = new Set();
+		// the buffered updates are written directly (not as a transaction), so transactions can
+		// wait for them without waiting for themselves
+		/** @type {WriteBuffer | null} */
+		this._buffer = null;
+		if (bufferWrites) {
+			const bufferOptions = {
+				maxDelayMs: bufferWrites.maxDelayMs ?? 1000,
+				maxBytes: bufferWrites.maxBytes ?? 1000000,
+				errorMode,
+			};
+			this._buffer = new WriteBuffer(bufferOptions, async (docName, update) => {
+				try {
+					const clock = await U.storeUpdate(db, docName, update, { instanceId: this._instanceId });
+					this._scheduleProjection(docName);
+					return clock;
+				} catch (err) {
+					this._emit('error', { docName, error: err });
+					throw err;
+				}
+			});
+		}
+
+		/** @type {Object<string, import('./projection.js').SharedTypeName>} */
+		this._projectionTypes = {};
+		// the projections are debounced, so documents that receive many updates are rendered once
+		/** @type {ProjectionQueue | null} */
+		this._projections = null;
+		if (projection) {
+			this._projectionTypes = projection.types;
+			this._projections = new ProjectionQueue(
+				{ debounceMs: projection.debounceMs ?? 1000, maxWaitMs: projection.maxWaitMs ?? 10000 },
+				(docName) => this._project(docName),
+			);
+		}
+
+		/** @type {CompactionScheduler | null} see startCompaction */
+		this._compaction = null;
 
 		// scope the queue of the transaction to each docName
 		// -> this should allow concurrency for different rooms
 		// Idea and adjusted code from: https://github.com/fadiquader/y-mongodb/issues/10
 		this.tr = {};
+		// number of transactions per docName that didnt finish yet
+		/** @type {Map<string, number>} */
+		this._queueLengths = new Map();
 
 		/**
 		 * Execute an transaction on a database. This will ensure that other processes are
@@ -55,7 +368,7 @@ export class MongodbPersistence {
 		 * @template T
 		 *
 		 * @param {function(MongoAdapter):Promise<T>} f A transaction that receives the db object
-		 * @return {Promise<T>}
+		 * @return {Promise<T>} If $f fails, it rejects (errorMode "throw") or resolves with null
 		 */
 		this._transact = (docName, f) => {
 			if (!this.tr[docName]) {
@@ -65,15 +378,37 @@ export class MongodbPersistence {
 			const currTr = this.tr[docName];
 			let nextTr = null;
 
-			nextTr = (async () => {
+			const queueLength = (this._queueLengths.get(docName) ?? 0) + 1;
+			this._queueLengths.set(docName, queueLength);
+			if (queueLength > 1) {
+				this._emit('transaction:queued', { docName, queueLength });
+			}
+
+			const result = (async () => {
 				await currTr;
 
 				let res = /** @type {any} */ (null);
+				/** @type {{ error: unknown } | null} */
+				let failure = null;
 				try {
+					// buffered updates have to be stored before anything else happens with the document
+					await this._flushBuffer(docName);
 					res = await f(db);
 				} catch (err) {
-					// eslint-disable-next-line no-console
-					console.warn('Error during saving transaction', err);
+					this._emit('error', { docName, error: err });
+					if (this.errorMode === 'throw') {
+						failure = { error: err };
+					} else {
+						// eslint-disable-next-line no-console
+						console.warn('Error during saving transaction', err);
+					}
+				}
+
+				const remaining = (this._queueLengths.get(docName) ?? 1) - 1;
+				if (remaining > 0) {
+					this._queueLengths.set(docName, remaining);
+				} else {
+					this._queueLengths.delete(docName);
 				}
 
 				// once the last transaction for a given docName resolves, remove it from the queue
@@ -81,15 +416,126 @@ export class MongodbPersistence {
 					delete this.tr[docName];
 				}
 
+				if (failure) {
+					throw failure.error;
+				}
 				return res;
 			})();
 
+			// the next transaction of the document waits for this one, even if it failed
+			nextTr = result.catch(() => null);
 			this.tr[docName] = nextTr;
 
-			return this.tr[docName];
+			return result;
 		};
 	}
 
+	/**
+	 * Where merged updates are moved to on flush. Returns null if they should be deleted.
+	 *
+	 * This is a private method and might change in the future.
+	 *
+	 * @return {{ db: MongoAdapter, retention: U.HistoryRetention } | null}
+	 */
+	_getHistory() {
+		if (!this.historyRetention) {
+			return null;
+		}
+		return { db: this._historyDb, retention: this.historyRetention };
+	}
+
+	/**
+	 * Merge the updates of a document into one update and replace them with it.
+	 *
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {MongoAdapter} db
+	 * @param {string} docName
+	 * @param {Uint8Array[]} updates
+	 * @param {number} mergedClock The clock of the newest update in $updates
+	 * @param {import('./events.js').DocumentFlushedEvent['trigger']} trigger
+	 * @return {Promise<{update: Uint8Array, sv: Uint8Array}>}
+	 */
+	async _flush(db, docName, updates, mergedClock, trigger) {
+		const start = Date.now();
+		const { update, sv } = U.mergeUpdates(updates);
+		const clock = await U.flushDocument(db, docName, update, sv, {
+			mergedClock,
+			mergedSize: updates.reduce((sum, mergedUpdate) => sum + mergedUpdate.length, 0),
+			history: this._getHistory(),
+		});
+		this._emit('document:flushed', {
+			docName,
+			clock,
+			mergedClock,
+			updates: updates.length,
+			size: update.length,
+			trigger,
+			duration: Date.now() - start,
+		});
+		this._scheduleProjection(docName);
+		return { update, sv };
+	}
+
+	/**
+	 * Project a document after the debounce time (if the option projection is set).
+	 *
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {string} docName
+	 */
+	_scheduleProjection(docName) {
+		if (this._projections) {
+			this._projections.schedule(docName);
+		}
+	}
+
+	/**
+	 * Store the JSON of the projected types of a document in the projection collection. This is
+	 * a transaction of the document, so it can't overwrite the result of clearDocument.
+	 *
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {string} docName
+	 * @return {Promise<void>}
+	 */
+	_project(docName) {
+		return this._transact(docName, async (db) => {
+			const start = Date.now();
+			const { updates, clock } = await U.getMongoUpdatesAndClock(db, docName);
+			if (!updates.length) {
+				// the document was deleted
+				await db.deleteProjection(docName);
+				return;
+			}
+			const ydoc = createYDocFromUpdates(updates);
+			try {
+				await db.putProjection(docName, createProjection(ydoc, this._projectionTypes), clock);
+			} finally {
+				ydoc.destroy();
+			}
+			this._emit('document:projected', { docName, clock, duration: Date.now() - start });
+		});
+	}
+
+	/**
+	 * Emit an event. Errors of listeners are logged, so they can't break the persistence.
+	 *
+	 * This is a private method and might change in the future.
+	 *
+	 * @template {keyof import('./events.js').PersistenceEvents} NAME
+	 * @param {NAME} name
+	 * @param {Parameters<import('./events.js').PersistenceEvents[NAME]>[0]} event
+	 */
+	_emit(name, event) {
+		try {
+			this.emit(name, /** @type {any} */ ([event]));
+		} catch (err) {
+			// eslint-disable-next-line no-console
+			console.warn(`Error in a listener of the event "${name}"`, err);
+		}
+	}
+
 	/**
 	 * Create a Y.Doc instance with the data persistet in mongodb.
 	 * Use this to temporarily create a Yjs document to sync changes or extract data.
@@ -99,49 +545,195 @@ export class MongodbPersistence {
 	 */
 	getYDoc(docName) {
 		return this._transact(docName, async (db) => {
-			const updates = await U.getMongoUpdates(db, docName);
-			const ydoc = new Y.Doc();
-			ydoc.transact(() => {
-				for (let i = 0; i < updates.length; i++) {
-					Y.applyUpdate(ydoc, updates[i]);
+			const { updates, clock } = await U.getMongoUpdatesAndClock(db, docName);
+			// skip the flush if another server is merging this document right now
+			if (updates.length > this.flushSize && (await this._locks.acquire(docName, 0))) {
+				try {
+					const { update } = await this._flush(db, docName, updates, clock, 'auto');
+					return createYDocFromUpdates([update]);
+				} finally {
+					await this._locks.release(docName);
 				}
-			});
-			if (updates.length > this.flushSize) {
-				await U.flushDocument(db, docName, Y.encodeStateAsUpdate(ydoc), Y.encodeStateVector(ydoc));
 			}
-			return ydoc;
+			return createYDocFromUpdates(updates);
+		});
+	}
+
+	/**
+	 * Create a Y.Doc instance with the content of a document as it was when the update
+	 * with the given clock got stored.
+	 * Older states are only available when the option historyRetention is set.
+	 *
+	 * @param {string} docName
+	 * @param {number} clock
+	 * @return {Promise<Y.Doc>}
+	 */
+	getYDocAtClock(docName, clock) {
+		return this._transact(docName, async (db) => {
+			const updates = await U.getMongoUpdatesAtClock(db, this._historyDb, docName, clock);
+			return createYDocFromUpdates(updates);
+		});
+	}
+
+	/**
+	 * Create a Y.Doc instance with the content of a document as it was at the given date.
+	 * Older states are only available when the option historyRetention is set.
+	 *
+	 * @param {string} docName
+	 * @param {Date} date
+	 * @return {Promise<Y.Doc>}
+	 */
+	getYDocAt(docName, date) {
+		return this._transact(docName, async (db) => {
+			const clock = await U.getUpdateClockAtDate(db, this._historyDb, docName, date);
+			if (clock === -1) {
+				// the document didnt exist yet
+				return new Y.Doc();
+			}
+			const updates = await U.getMongoUpdatesAtClock(db, this._historyDb, docName, clock);
+			return createYDocFromUpdates(updates);
 		});
 	}
 
 	/**
 	 * Store a single document update to the database.
+	 * With the option bufferWrites, the update is merged with other updates of the document
+	 * and the promise resolves once they are written.
 	 *
 	 * @param {string} docName
 	 * @param {Uint8Array} update
-	 * @return {Promise<number>} Returns the clock of the stored update
+	 * @param {import('./audit.js').UpdateContext} [context] Who made the update. It is stored on the
+	 * update record and in the update log of the document (see getUpdateLog). Updates with a
+	 * context are not buffered, so they keep their own record.
+	 * @return {Promise<number | null>} Returns the clock of the stored update
+	 */
+	storeUpdate(docName, update, context) {
+		if (this._buffer && !context) {
+			return this._buffer.add(docName, update);
+		}
+		return this._transact(docName, async (db) => {
+			const fields = { instanceId: this._instanceId };
+			const clock = context
+				? await storeUpdateWithContext(db, docName, update, context, fields)
+				: await U.storeUpdate(db, docName, update, fields);
+			this._scheduleProjection(docName);
+			return clock;
+		});
+	}
+
+	/**
+	 * Get the update log of a document: the updates that were stored with a context (see
+	 * storeUpdate), with a summary of their changes. The log isnt affected by flushes.
+	 *
+	 * @param {string} docName
+	 * @param {object} [opts]
+	 * @param {number | Date} [opts.from] Only the updates from this clock or time on
+	 * @param {number | Date} [opts.to] Only the updates up to this clock or time
+	 * @param {string} [opts.author] Only the updates of this author
+	 * @return {Promise<import('./audit.js').UpdateLogEntry[]>} Ordered by clock
 	 */
-	storeUpdate(docName, update) {
-		return this._transact(docName, (db) => U.storeUpdate(db, docName, update));
+	getUpdateLog(docName, { from, to, author } = {}) {
+		return this._transact(docName, (db) => getUpdateLog(db, docName, { from, to, author }));
 	}
 
 	/**
-	 * Store multiple document updates to the database - follows updateOne operation.
+	 * Listen to the updates that other instances (e.g. other y-websocket servers using the same
+	 * database) store for a document. This uses MongoDB change streams, which are only available
+	 * on replica sets and sharded clusters.
 	 *
-	 * @param {Object<string, Uint8Array>} updatesMap - Key-value pairs where the key is docName and the value is the update
-	 * @return {Promise<number>} Returns the clock of the stored update
+	 * @param {string} docName
+	 * @param {function(import('./subscription.js').UpdateEvent):void|Promise<void>} handler
+	 * @param {{ resumeAfter?: unknown }} [opts] Pass the resumeToken of the last received update
+	 * to continue a previous subscription.
+	 * @return {Promise<function():Promise<void>>} Resolves with a function to unsubscribe once the
+	 * subscription is established
+	 */
+	subscribe(docName, handler, opts = {}) {
+		return this._subscribe(docName, handler, opts);
+	}
+
+	/**
+	 * Listen to the updates that other instances store for any document.
+	 * See `subscribe` for more information.
+	 *
+	 * @param {function(import('./subscription.js').UpdateEvent):void|Promise<void>} handler
+	 * @param {{ resumeAfter?: unknown }} [opts]
+	 * @return {Promise<function():Promise<void>>}
+	 */
+	subscribeAll(handler, opts = {}) {
+		return this._subscribe(null, handler, opts);
+	}
+
+	/**
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {string | null} docName
+	 * @param {function(import('./subscription.js').UpdateEvent):void|Promise<void>} handler
+	 * @param {{ resumeAfter?: unknown }} opts
+	 * @return {Promise<function():Promise<void>>}
+	 */
+	async _subscribe(docName, handler, { resumeAfter }) {
+		const close = await subscribeToUpdates(
+			this._db,
+			{
+				docName,
+				ignoredInstanceId: this._instanceId,
+				ignoredCollection: this._historyDb.collection,
+				resumeAfter,
+			},
+			handler,
+		);
+		const unsubscribe = async () => {
+			this._subscriptions.delete(unsubscribe);
+			await close();
+		};
+		this._subscriptions.add(unsubscribe);
+		return unsubscribe;
+	}
+
+	/**
+	 * Store the updates of multiple documents with bulk writes - follows updateOne operation.
+	 * Every document continues with its next clocks, like with storeUpdate.
+	 *
+	 * @param {U.UpdatesMap} updatesMap - Key-value pairs where the key is docName and the value is
+	 * one update or an array of updates of the document
+	 * @return {Promise<Record<string, number>>} Returns the clock of the newest stored update of
+	 * each document
 	 */
 	storeUpdates(updatesMap) {
-		return this._transact('bulkUpdate', (db) => U.storeUpdates(db, updatesMap));
+		return this._transact('bulkUpdate', (db) => this._storeUpdates(db, updatesMap, false));
 	}
 
 	/**
-	 * Store multiple document updates to the database - follows insertOne operation.
+	 * Store the updates of multiple documents with bulk writes - follows insertOne operation.
+	 * In contrast to storeUpdates, failed bulk writes are not retried.
 	 *
-	 * @param {Object<string, Uint8Array>} updatesMap - Key-value pairs where the key is docName and the value is the update
-	 * @return {Promise<number>} Returns the clock of the stored update
+	 * @param {U.UpdatesMap} updatesMap - Key-value pairs where the key is docName and the value is
+	 * one update or an array of updates of the document
+	 * @return {Promise<Record<string, number>>} Returns the clock of the newest stored update of
+	 * each document
 	 */
 	insertUpdates(updatesMap) {
-		return this._transact('bulkInsert', (db) => U.insertUpdates(db, updatesMap));
+		return this._transact('bulkInsert', (db) => this._storeUpdates(db, updatesMap, true));
+	}
+
+	/**
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {MongoAdapter} db
+	 * @param {U.UpdatesMap} updatesMap
+	 * @param {boolean} insert
+	 * @return {Promise<Record<string, number>>}
+	 */
+	async _storeUpdates(db, updatesMap, insert) {
+		// buffered updates of the documents have to be stored first, so they keep their order
+		await Promise.all(Object.keys(updatesMap).map((docName) => this._flushBuffer(docName)));
+		const clocks = await U.storeUpdates(db, updatesMap, {
+			insert,
+			fields: { instanceId: this._instanceId },
+		});
+		Object.keys(clocks).forEach((docName) => this._scheduleProjection(docName));
+		return clocks;
 	}
 
 	/**
@@ -163,40 +755,60 @@ export class MongodbPersistence {
 				return sv;
 			} else {
 				// current state vector is outdated
-				const updates = await U.getMongoUpdates(db, docName);
-				const { update, sv: newSv } = U.mergeUpdates(updates);
-				await U.flushDocument(db, docName, update, newSv);
-				return newSv;
+				return this._locks.withLock(docName, async () => {
+					const { updates, clock: mergedClock } = await U.getMongoUpdatesAndClock(db, docName);
+					const { sv: newSv } = await this._flush(db, docName, updates, mergedClock, 'stateVector');
+					return newSv;
+				});
 			}
 		});
 	}
 
 	/**
 	 * Get the differences directly from the database.
-	 * The same as Y.encodeStateAsUpdate(ydoc, stateVector).
+	 * The same as Y.encodeStateAsUpdate(ydoc, stateVector), but without creating a Y.Doc.
 	 * @param {string} docName
 	 * @param {Uint8Array} stateVector
+	 * @return {Promise<Uint8Array>}
 	 */
-	async getDiff(docName, stateVector) {
-		const ydoc = await this.getYDoc(docName);
-		return Y.encodeStateAsUpdate(ydoc, stateVector);
+	getDiff(docName, stateVector) {
+		return this._transact(docName, async (db) => {
+			const updates = await U.getMongoUpdates(db, docName);
+			return Y.diffUpdate(Y.mergeUpdates(updates), stateVector);
+		});
 	}
 
 	/**
 	 * Delete a document, and all associated data from the database.
-	 * When option multipleCollections is set, it removes the corresponding collection
+	 * When option multipleCollections is set, it removes the corresponding collection (with a
+	 * collectionResolver only the records of the document, because the collection might be shared)
 	 * @param {string} docName
 	 * @return {Promise<void>}
 	 */
 	clearDocument(docName) {
-		return this._transact(docName, async (db) => {
-			if (!this.multipleCollections) {
-				await db.delete(U.createDocumentStateVectorKey(docName));
-				await U.clearUpdatesRange(db, docName, 0, binary.BITS32);
-			} else {
-				await db.dropCollection(docName);
-			}
-		});
+		return this._transact(docName, (db) =>
+			this._locks.withLock(docName, async () => {
+				const start = Date.now();
+				if (!this.multipleCollections) {
+					await db.delete(U.createDocumentStateVectorKey(docName));
+					await db.delete(U.createDocumentSnapshotKey(docName));
+					await U.clearUpdatesRange(db, docName, 0, binary.BITS32);
+				} else if (this.collectionResolver) {
+					await db.delete({ docName });
+					await db.unregisterDocument(docName);
+				} else {
+					await db.dropCollection(docName);
+				}
+				await db.deleteClock(docName);
+				await db.deleteAuditEntries(docName);
+				await this._historyDb.delete({ docName });
+				if (this._projections) {
+					this._projections.cancel(docName);
+					await db.deleteProjection(docName);
+				}
+				this._emit('document:cleared', { docName, duration: Date.now() - start });
+			}),
+		);
 	}
 
 	/**
@@ -213,7 +825,10 @@ export class MongodbPersistence {
 		/*	Unlike y-leveldb, we simply store the value here without encoding
 	 		 it in a buffer beforehand. */
 		return this._transact(docName, async (db) => {
-			await db.put(U.createDocumentMetaKey(docName, metaKey), { value });
+			await db.put(
+				U.createDocumentMetaKey(docName, metaKey),
+				await U.encodeMetaValue(db, docName, value),
+			);
 		});
 	}
 
@@ -233,7 +848,7 @@ export class MongodbPersistence {
 			if (!res?.value) {
 				return undefined;
 			}
-			return res.value;
+			return U.decodeMetaValue(db, res);
 		});
 	}
 
@@ -258,19 +873,236 @@ export class MongodbPersistence {
 	 * @return {Promise<string[]>}
 	 */
 	getAllDocNames() {
+		return this._transact('global', (db) => this._getDocNames(db));
+	}
+
+	/**
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {MongoAdapter} db
+	 * @return {Promise<string[]>}
+	 */
+	async _getDocNames(db) {
+		if (this.collectionResolver) {
+			const docs = await db.getRegisteredDocuments();
+			return docs.map((doc) => doc.docName);
+		} else if (this.multipleCollections) {
+			return this._getDocumentCollectionNames(db);
+		} else {
+			// when all docs are stored in the same collection we just need to get all
+			//  statevectors and return their names
+			const docs = await U.getAllSVDocs(db);
+			return docs.map((doc) => doc.docName);
+		}
+	}
+
+	/**
+	 * Get the names of all collections that store documents.
+	 *
+	 * @private
+	 * @param {MongoAdapter} db
+	 * @return {Promise<string[]>}
+	 */
+	async _getDocumentCollectionNames(db) {
+		if (!this.multipleCollections) {
+			return [db.collection];
+		}
+		if (this.collectionResolver) {
+			const docs = await db.getRegisteredDocuments();
+			return Array.from(new Set(docs.map((doc) => doc.collection)));
+		}
+		// get all collection names from db
+		const collectionNames = await db.getCollectionNames();
+		const internalCollections = [this._historyDb.collection, ...db.getInternalCollectionNames()];
+		return collectionNames.filter((name) => !internalCollections.includes(name));
+	}
+
+	/**
+	 * Create the recommended compound index on all collections that store documents (and on the
+	 * history collection if historyRetention is set). Existing indexes are kept.
+	 *
+	 * @return {Promise<void>}
+	 */
+	ensureIndexes() {
 		return this._transact('global', async (db) => {
-			if (this.multipleCollections) {
-				// get all collection names from db
-				return db.getCollectionNames();
-			} else {
-				// when all docs are stored in the same collection we just need to get all
-				//  statevectors and return their names
-				const docs = await U.getAllSVDocs(db);
-				return docs.map((doc) => doc.docName);
+			const collectionNames = await this._getDocumentCollectionNames(db);
+			await Promise.all(collectionNames.map((name) => db.ensureIndex(name)));
+			if (this.historyRetention) {
+				await this._historyDb.ensureIndex(this._historyDb.collection);
+			}
+			await db.ensureClockIndex();
+			await db.ensureAuditIndex();
+			if (this._projections) {
+				await db.ensureProjectionIndex();
 			}
 		});
 	}
 
+	/**
+	 * Report which collections miss the recommended compound index and which of their indexes
+	 * are redundant because the compound index covers them.
+	 *
+	 * @return {Promise<Array<import('./mongo-adapter.js').IndexCheck>>}
+	 */
+	checkIndexes() {
+		return this._transact('global', async (db) => {
+			const collectionNames = await this._getDocumentCollectionNames(db);
+			const checks = await Promise.all(collectionNames.map((name) => db.checkIndex(name)));
+			if (this.historyRetention) {
+				checks.push(await this._historyDb.checkIndex(this._historyDb.collection));
+			}
+			return checks;
+		});
+	}
+
+	/**
+	 * Search the documents by their content. $query is a MongoDB filter on the projection
+	 * collection (see option projection), whose records look like
+	 * `{ _id: docName, content: { [type]: json }, clock, updatedAt }`. All strings of the records
+	 * have a text index, so they can be searched with `{ $text: { $search: 'words' } }`.
+	 * The projections are written after the debounce time, so they can miss the latest changes.
+	 *
+	 * @param {import('mongodb').Filter<import('mongodb').Document>} query E.g.
+	 * `{ 'content.title.status': 'draft' }`
+	 * @param {{ limit?: number }} [opts] Results of $text queries are sorted by relevance, the
+	 * others by docName
+	 * @return {Promise<import('./projection.js').ProjectedDocument[]>}
+	 */
+	findDocuments(query, { limit = 0 } = {}) {
+		return this._transact('global', async (db) => {
+			if (!this._projections) {
+				throw new PersistenceError('findDocuments requires the option "projection"');
+			}
+			return db.findProjections(query, { limit });
+		});
+	}
+
+	/**
+	 * Write a backup of all documents into a stream, in the archive format that is described in
+	 * the Readme (newline delimited JSON). Each document is stored as one merged update with its
+	 * state vector and meta values. The stream is not ended.
+	 *
+	 * @param {NodeJS.WritableStream} stream
+	 * @param {object} [opts]
+	 * @param {string} [opts.prefix] Only export the documents whose name starts with $prefix
+	 * @param {import('./archive.js').ArchiveManifest} [opts.since] The manifest of a previous
+	 * export. Only the documents whose state vector changed since then are exported.
+	 * @return {Promise<import('./archive.js').ArchiveManifest>} Pass this as `since` to the next
+	 * export
+	 */
+	exportAll(stream, { prefix = '', since } = {}) {
+		return this._transact('global', async (db) => {
+			const docNames = await this._getDocNames(db);
+			return exportArchive(
+				db,
+				stream,
+				docNames.filter((docName) => docName.startsWith(prefix)).sort(),
+				since,
+			);
+		});
+	}
+
+	/**
+	 * Restore the documents of an archive that was created with exportAll. The updates are stored
+	 * like with storeUpdate, so documents that already exist are merged with the archived state.
+	 * Meta values are overwritten.
+	 *
+	 * @param {NodeJS.ReadableStream} stream
+	 * @param {object} [opts]
+	 * @param {string} [opts.prefix] Only import the documents whose name starts with $prefix
+	 * @return {Promise<import('./archive.js').ImportResult>}
+	 */
+	importAll(stream, { prefix = '' } = {}) {
+		return this._transact('global', (db) =>
+			importArchive(stream, async ({ docName, update, meta }) => {
+				if (!docName.startsWith(prefix)) {
+					return false;
+				}
+				if (!U.isEmptyUpdate(update)) {
+					await U.storeUpdate(db, docName, update, { instanceId: this._instanceId });
+					this._scheduleProjection(docName);
+				}
+				await Promise.all(
+					Object.entries(meta).map(async ([metaKey, value]) =>
+						db.put(
+							U.createDocumentMetaKey(docName, metaKey),
+							await U.encodeMetaValue(db, docName, value),
+						),
+					),
+				);
+				return true;
+			}),
+		);
+	}
+
+	/**
+	 * Copy all documents from one storage layout into another, e.g. from `multipleCollections`
+	 * into a single collection. The layouts use the connection, GridFS bucket, compression and
+	 * encryption of this instance. The documents of $from are kept.
+	 * The migration can be started again after it was interrupted and continues with the documents
+	 * that werent migrated yet. Each document is verified by comparing the state vectors of both
+	 * layouts. Dont write to the documents while they are migrated.
+	 *
+	 * @param {object} opts
+	 * @param {import('./migrate.js').Layout} opts.from
+	 * @param {import('./migrate.js').Layout} opts.to
+	 * @param {function(import('./migrate.js').MigrationProgress):void} [opts.onProgress] Called
+	 * after each document
+	 * @return {Promise<import('./migrate.js').MigrationResult>}
+	 */
+	migrateLayout({ from, to, onProgress = () => {} }) {
+		return this._transact('global', async () => {
+			const source = this._createLayoutAdapter(from);
+			const target = this._createLayoutAdapter(to);
+			return migrateLayout(source, target, {
+				excludedCollections: [this._historyDb.collection],
+				onProgress,
+			});
+		});
+	}
+
+	/**
+	 * Create an adapter for the documents in $layout, with the connection and settings of this
+	 * instance.
+	 *
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {import('./migrate.js').Layout} layout
+	 * @return {MongoAdapter}
+	 */
+	_createLayoutAdapter(layout) {
+		const {
+			collectionName = this._db.collection,
+			multipleCollections = false,
+			collectionResolver,
+		} = layout || {};
+		if (
+			typeof collectionName !== 'string' ||
+			!collectionName ||
+			typeof multipleCollections !== 'boolean' ||
+			(collectionResolver !== undefined &&
+				(typeof collectionResolver !== 'function' || !multipleCollections))
+		) {
+			throw new Error(
+				'The layouts of migrateLayout must be { collectionName?: string, multipleCollections?: boolean, collectionResolver?: function }. Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistencemigratelayout-from-layout-to-layout-onprogress-function--promise-total-number-migrated-number-skipped-number-failed-string-',
+			);
+		}
+		return new MongoAdapter(
+			{ client: this._db.client, db: this._db.db },
+			{
+				collection: collectionName,
+				multipleCollections,
+				collectionResolver: collectionResolver ?? null,
+				autoIndex: this._db.autoIndex,
+				gridFS: this._db.gridFS,
+				compression: this._db.compression,
+				encryption: this._db.encryption,
+				emit: this._db.emit,
+				closeClient: false,
+			},
+		);
+	}
+
 	/**
 	 * Retrieve the state vectors of all stored documents.
 	 * You can use this to sync two y-mongodb instances.
@@ -281,13 +1113,65 @@ export class MongodbPersistence {
 	getAllDocStateVectors() {
 		return this._transact('global', async (db) => {
 			const docs = await U.getAllSVDocs(db);
+			const keys = await U.getDecryptionKeys(db, docs);
 			return docs.map((doc) => {
-				const { sv, clock } = U.decodeMongodbStateVector(doc.value);
+				const { sv, clock } = U.decodeMongodbStateVector(doc, keys);
 				return { name: doc.docName, sv, clock };
 			});
 		});
 	}
 
+	/**
+	 * Count the stored updates of a document and the MongoDB documents (or GridFS files) they are
+	 * stored in, and get when the document was created, last modified and last flushed.
+	 *
+	 * @param {string} docName
+	 * @return {ReturnType<typeof U.getDocumentStats>} bytes is the stored size (after compression and
+	 * encryption), size the size of the updates before. clock is -1 if there are no updates
+	 */
+	getDocumentStats(docName) {
+		return this._transact(docName, (db) => U.getDocumentStats(db, docName));
+	}
+
+	/**
+	 * List the documents with their timestamps and sizes, e.g. for dashboards. Documents that
+	 * werent written since the timestamps are tracked have null values.
+	 *
+	 * @param {object} [opts]
+	 * @param {Date} [opts.modifiedSince] Only list the documents that were modified after this
+	 * @param {U.DocumentSortKey} [opts.sortBy] "updatedAt", "createdAt" (newest first), "size"
+	 * (largest first) or "docName". Default: "updatedAt"
+	 * @param {number} [opts.limit] Default: all documents
+	 * @return {Promise<U.DocumentInfo[]>}
+	 */
+	listDocuments({ modifiedSince, sortBy = 'updatedAt', limit = 0 } = {}) {
+		return this._transact('global', (db) => {
+			if (
+				(modifiedSince !== undefined && !(modifiedSince instanceof Date)) ||
+				!Object.keys(U.DOCUMENT_SORT).includes(sortBy) ||
+				!Number.isInteger(limit) ||
+				limit < 0
+			) {
+				throw new Error(
+					'The options of listDocuments must be { modifiedSince?: Date, sortBy?: "updatedAt" | "createdAt" | "size" | "docName", limit?: number }. Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistencelistdocumentsoptions--modifiedsince-date-sortby-string-limit-number--promisearray-docname-string-clock-number-size-number-createdat-date-updatedat-date-flushedat-date-',
+				);
+			}
+			return U.listDocuments(db, { modifiedSince, sortBy, limit });
+		});
+	}
+
+	/**
+	 * Check that the updates of a document can be read, that its state vector matches them and
+	 * that its clock counter isnt behind. Nothing is written, so this is safe to run on
+	 * documents that are in use.
+	 *
+	 * @param {string} docName
+	 * @return {Promise<U.DocumentVerification>}
+	 */
+	verifyDocument(docName) {
+		return this._transact(docName, (db) => U.verifyDocument(db, docName));
+	}
+
 	/**
 	 * Internally y-mongodb stores incremental updates. You can merge all document
 	 * updates to a single entry. You probably never have to use this.
@@ -297,10 +1181,276 @@ export class MongodbPersistence {
 	 * @return {Promise<void>}
 	 */
 	flushDocument(docName) {
+		return this._transact(docName, (db) =>
+			this._locks.withLock(docName, async () => {
+				const { updates, clock } = await U.getMongoUpdatesAndClock(db, docName);
+				await this._flush(db, docName, updates, clock, 'manual');
+			}),
+		);
+	}
+
+	/**
+	 * Flush all documents that have at least $minUpdates updates (or whose updates are at least
+	 * $minBytes large). getYDoc only flushes the documents it reads, so this keeps documents small
+	 * that are written a lot but rarely read. Documents that couldnt be flushed (e.g. because
+	 * another server held their lock) are reported in `failed` and dont stop the others.
+	 *
+	 * @param {object} [opts]
+	 * @param {number} [opts.concurrency] How many documents are flushed at the same time. Default: 2
+	 * @param {number} [opts.minUpdates] Default: flushSize
+	 * @param {number} [opts.minBytes] Default: documents are not compacted because of their size
+	 * @return {Promise<import('./compaction.js').CompactionResult>}
+	 */
+	async compactDocuments(opts = {}) {
+		const { concurrency, minUpdates, minBytes } = this._getCompactionOptions(opts);
+		return this._compactDocuments({ concurrency, minUpdates, minBytes }, () => false);
+	}
+
+	/**
+	 * Run compactDocuments every $intervalMs in the background. The next run starts $intervalMs
+	 * after the previous one finished. The result of each run is emitted as the event
+	 * "compaction:completed". destroy stops the compaction.
+	 *
+	 * @param {object} [opts] The options of compactDocuments and:
+	 * @param {number} [opts.intervalMs] Default: 60000
+	 * @param {number} [opts.concurrency]
+	 * @param {number} [opts.minUpdates]
+	 * @param {number} [opts.minBytes]
+	 * @return {function():Promise<void>} Stops the compaction. Resolves once the documents that
+	 * are being flushed are done.
+	 */
+	startCompaction(opts = {}) {
+		const { intervalMs, ...thresholds } = this._getCompactionOptions(opts);
+		if (this._compaction) {
+			throw new Error('The compaction is already running. Stop it before starting it again.');
+		}
+		const scheduler = new CompactionScheduler(intervalMs, (isStopped) =>
+			this._compactDocuments(thresholds, isStopped),
+		);
+		this._compaction = scheduler;
+		scheduler.start();
+		return async () => {
+			if (this._compaction === scheduler) {
+				this._compaction = null;
+			}
+			await scheduler.stop();
+		};
+	}
+
+	/**
+	 * Validate the options of compactDocuments and startCompaction and apply their defaults.
+	 *
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {{ intervalMs?: number, concurrency?: number, minUpdates?: number, minBytes?: number }} opts
+	 * @return {{ intervalMs: number, concurrency: number, minUpdates: number, minBytes?: number }}
+	 */
+	_getCompactionOptions({
+		intervalMs = 60000,
+		concurrency = 2,
+		minUpdates = this.flushSize,
+		minBytes,
+	}) {
+		if (
+			typeof intervalMs !== 'number' ||
+			intervalMs < 0 ||
+			!Number.isInteger(concurrency) ||
+			concurrency <= 0 ||
+			typeof minUpdates !== 'number' ||
+			minUpdates < 0 ||
+			(minBytes !== undefined && (typeof minBytes !== 'number' || minBytes < 0))
+		) {
+			throw new Error(
+				'The options of the compaction must be { intervalMs?: number, concurrency?: number, minUpdates?: number, minBytes?: number } with a concurrency larger than 0! Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#persistencecompactdocumentsoptions--concurrency-number-minupdates-number-minbytes-number--promise-compacted-array-docname-string-updates-number-bytes-number--failed-string-duration-number-',
+			);
+		}
+		return { intervalMs, concurrency, minUpdates, minBytes };
+	}
+
+	/**
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {import('./compaction.js').CompactionThresholds & { concurrency: number }} opts
+	 * @param {function():boolean} isStopped
+	 * @return {Promise<import('./compaction.js').CompactionResult>}
+	 */
+	async _compactDocuments({ concurrency, minUpdates, minBytes }, isStopped) {
+		const start = Date.now();
+		const candidates = await this._transact('global', async (db) =>
+			findCompactionCandidates(db, await this._getDocumentCollectionNames(db), {
+				minUpdates,
+				minBytes,
+			}),
+		);
+		const { compacted, failed } = await compactCandidates(
+			// null if finding the documents failed with errorMode "warn"
+			candidates ?? [],
+			concurrency,
+			(docName) => this._compact(docName),
+			isStopped,
+		);
+		const result = { compacted, failed, duration: Date.now() - start };
+		this._emit('compaction:completed', result);
+		return result;
+	}
+
+	/**
+	 * Flush a document for the compaction.
+	 *
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {string} docName
+	 * @return {Promise<boolean>} Resolves with null instead of true if flushing failed with errorMode
+	 * "warn"
+	 */
+	_compact(docName) {
+		return this._transact(docName, (db) =>
+			this._locks.withLock(docName, async () => {
+				const { updates, clock } = await U.getMongoUpdatesAndClock(db, docName);
+				// another server might have compacted the document in the meantime
+				if (updates.length > 1) {
+					await this._flush(db, docName, updates, clock, 'compaction');
+				}
+				return true;
+			}),
+		);
+	}
+
+	/**
+	 * Rewrite the stored updates and snapshots of a document with the current `compression`
+	 * option, e.g. after compression was enabled or the codec changed. With `compression: false`
+	 * the document is decompressed. The clocks of the updates don't change.
+	 * If encryption is enabled, unencrypted records are encrypted as well.
+	 *
+	 * @param {string} docName
+	 * @return {Promise<number>} The number of rewritten updates and snapshots
+	 */
+	recompressDocument(docName) {
+		return this._transact(docName, (db) =>
+			this._locks.withLock(docName, () => U.rewriteDocument(db, docName)),
+		);
+	}
+
+	/**
+	 * Encrypt all records of a document (including its history) with another key, e.g. to
+	 * rotate keys. Make sure the key provider returns $newKeyId for new records of this
+	 * document from now on.
+	 *
+	 * @param {string} docName
+	 * @param {string} newKeyId
+	 * @return {Promise<number>} The number of rewritten records
+	 */
+	reencryptDocument(docName, newKeyId) {
+		return this._transact(docName, (db) =>
+			this._locks.withLock(docName, async () => {
+				if (!db.encryption) {
+					throw new EncryptionError(
+						'Documents can only be reencrypted if the option "encryption" is set',
+					);
+				}
+				const rewritten = await Promise.all([
+					U.rewriteDocument(db, docName, newKeyId),
+					U.rewriteDocument(this._historyDb, docName, newKeyId),
+					U.reencryptStateVectorAndMeta(db, docName, newKeyId),
+				]);
+				return rewritten.reduce((sum, count) => sum + count, 0);
+			}),
+		);
+	}
+
+	/**
+	 * Execute a function while holding the lock of a document. The lock is stored in MongoDB,
+	 * so no other server can flush or clear the document in the meantime.
+	 * Use this for your own jobs that read, merge and write documents.
+	 * The lock is reentrant for $f, so you can call the methods of this instance inside of it. Other
+	 * calls of this instance that need the lock (e.g. flushes) wait until $f finished.
+	 *
+	 * @template T
+	 * @param {string} docName
+	 * @param {function():Promise<T>} f
+	 * @return {Promise<T>}
+	 */
+	withDocumentLock(docName, f) {
+		return this._locks.withLock(docName, f);
+	}
+
+	/**
+	 * Store the current state of a document as a named snapshot. Snapshots are not affected
+	 * by flushes and stay available until they are deleted or the document is cleared.
+	 *
+	 * @param {string} docName
+	 * @param {string} label A human readable name for the snapshot, e.g. "v1 approved"
+	 * @return {Promise<{ id: string, label: string, clock: number, createdAt: Date }>}
+	 */
+	createSnapshot(docName, label) {
+		return this._transact(docName, (db) => U.storeSnapshot(db, docName, random.uuidv4(), label));
+	}
+
+	/**
+	 * Retrieve all snapshots of a document, ordered by creation time.
+	 *
+	 * @param {string} docName
+	 * @return {Promise<{ id: string, label: string, clock: number, createdAt: Date }[]>}
+	 */
+	listSnapshots(docName) {
+		return this._transact(docName, (db) => U.listSnapshots(db, docName));
+	}
+
+	/**
+	 * Create a Y.Doc instance with the content of a document at the time of the snapshot.
+	 * Returns null if the snapshot doesn't exist.
+	 *
+	 * @param {string} docName
+	 * @param {string} snapshotId
+	 * @return {Promise<Y.Doc | null>}
+	 */
+	getYDocAtSnapshot(docName, snapshotId) {
 		return this._transact(docName, async (db) => {
+			const update = await U.getSnapshotUpdate(db, docName, snapshotId);
+			if (!update) {
+				return null;
+			}
+			const ydoc = new Y.Doc();
+			Y.applyUpdate(ydoc, update);
+			return ydoc;
+		});
+	}
+
+	/**
+	 * Roll a document back to the content of a snapshot.
+	 * This stores a new update that reverts all changes made since the snapshot, so the
+	 * history of the document stays intact and clients can sync the result as usual.
+	 *
+	 * @param {string} docName
+	 * @param {string} snapshotId
+	 * @return {Promise<number>} Returns the clock of the stored revert update
+	 */
+	restoreSnapshot(docName, snapshotId) {
+		return this._transact(docName, async (db) => {
+			const snapshotUpdate = await U.getSnapshotUpdate(db, docName, snapshotId);
+			if (!snapshotUpdate) {
+				throw new NotFoundError(`Snapshot "${snapshotId}" of document "${docName}" does not exist`);
+			}
 			const updates = await U.getMongoUpdates(db, docName);
-			const { update, sv } = U.mergeUpdates(updates);
-			await U.flushDocument(db, docName, update, sv);
+			const { update } = U.mergeUpdates(updates);
+			const clock = await U.storeUpdate(db, docName, U.createRevertUpdate(update, snapshotUpdate), {
+				instanceId: this._instanceId,
+			});
+			this._scheduleProjection(docName);
+			return clock;
+		});
+	}
+
+	/**
+	 * Delete a snapshot of a document.
+	 *
+	 * @param {string} docName
+	 * @param {string} snapshotId
+	 * @return {Promise<void>}
+	 */
+	deleteSnapshot(docName, snapshotId) {
+		return this._transact(docName, async (db) => {
+			await db.delete(U.createDocumentSnapshotKey(docName, snapshotId));
 		});
 	}
 
@@ -310,6 +1460,9 @@ export class MongodbPersistence {
 	 */
 	flushDB() {
 		return this._transact('global', async (db) => {
+			if (this._projections) {
+				this._projections.cancelAll();
+			}
 			await U.flushDB(db);
 		});
 	}
@@ -318,12 +1471,52 @@ export class MongodbPersistence {
 	 * Closes open database connection
 	 * @returns {Promise<void>}
 	 */
-	destroy() {
+	async destroy() {
+		// the compaction uses transactions as well, so it has to stop before the last one starts
+		if (this._compaction) {
+			await this._compaction.stop();
+			this._compaction = null;
+		}
+		// the global transaction stores all buffered updates before the connection is closed
 		return this._transact('global', async (db) => {
+			// the changes of the documents should be searchable, also after a restart
+			if (this._projections) {
+				await this._projections.flushAll();
+			}
+			await Promise.all(Array.from(this._subscriptions).map((unsubscribe) => unsubscribe()));
+			await this._locks.releaseAll();
 			await db.close();
+			super.destroy();
 		});
 	}
 
+	/**
+	 * Store all buffered updates (see option bufferWrites) and the projections that wait for
+	 * their debounce time (see option projection).
+	 *
+	 * @return {Promise<void>}
+	 */
+	async flushPending() {
+		if (this._buffer) {
+			await this._buffer.flushAll();
+		}
+		if (this._projections) {
+			await this._projections.flushAll();
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} docName
+	 * @return {Promise<void>}
+	 */
+	_flushBuffer(docName) {
+		if (!this._buffer) {
+			return promise.resolve();
+		}
+		return docName === 'global' ? this._buffer.flushAll() : this._buffer.flush(docName);
+	}
+
 	/**
 	 * - For debug purposes -
 	 * Fetch and return all document updates from the database without merging
@@ -339,3 +1532,135 @@ export class MongodbPersistence {
 		});
 	}
 }
+
+/**
+ * Where the documents of a tenant are stored. With a connection string, tenants on the same
+ * cluster share one MongoClient (and its connection pool). `dbName` defaults to the database of
+ * the connection string.
+ * @typedef {{ connectionString: string, dbName?: string } | { client: MongoClient, db: import('mongodb').Db }} TenantConnection
+ */
+
+/**
+ * @typedef {function(string):TenantConnection|Promise<TenantConnection>} TenantResolver
+ */
+
+/**
+ * Keeps the documents of each tenant in its own database (and optionally on its own cluster).
+ * Every tenant gets its own MongodbPersistence, so all of its methods (including getAllDocNames
+ * and flushDB) only see the documents of that tenant.
+ *
+ * @example
+ * const tenants = new MultiTenantPersistence((tenantId) => ({
+ *   connectionString: process.env.MONGO_URL,
+ *   dbName: `tenant-${tenantId}`,
+ * }));
+ * const mdb = await tenants.forTenant('acme');
+ * const ydoc = await mdb.getYDoc('my-doc');
+ */
+export class MultiTenantPersistence {
+	/**
+	 * @param {TenantResolver} resolver Returns where the documents of a tenant are stored
+	 * @param {ConstructorParameters<typeof MongodbPersistence>[1]} [opts] The options of the
+	 * MongodbPersistence of each tenant
+	 */
+	constructor(resolver, opts = {}) {
+		if (typeof resolver !== 'function') {
+			throw new Error(
+				'The resolver of MultiTenantPersistence is not a function. Take a look into the Readme for more information: https://github.com/MaxNoetzold/y-mongodb-provider#multi-tenancy',
+			);
+		}
+		this.resolver = resolver;
+		this.opts = opts;
+		/** @type {Map<string, Promise<MongodbPersistence>>} */
+		this._tenants = new Map();
+		// one client per connection string, so tenants on the same cluster share the pool
+		/** @type {Map<string, MongoClient>} */
+		this._clients = new Map();
+	}
+
+	/**
+	 * Get the persistence of a tenant. It is created on the first call.
+	 *
+	 * @param {string} tenantId
+	 * @return {Promise<MongodbPersistence>}
+	 */
+	forTenant(tenantId) {
+		if (typeof tenantId !== 'string' || !tenantId) {
+			return Promise.reject(new Error('The tenantId must be a non-empty string'));
+		}
+		let tenant = this._tenants.get(tenantId);
+		if (!tenant) {
+			tenant = this._createTenant(tenantId);
+			this._tenants.set(tenantId, tenant);
+			const created = tenant;
+			// the next call tries again if the tenant couldnt be resolved
+			created.catch(() => {
+				if (this._tenants.get(tenantId) === created) {
+					this._tenants.delete(tenantId);
+				}
+			});
+		}
+		return tenant;
+	}
+
+	/**
+	 * Close the persistence of a tenant, e.g. when it wasnt used for a while. Shared clients stay
+	 * open.
+	 *
+	 * @param {string} tenantId
+	 * @return {Promise<void>}
+	 */
+	async destroyTenant(tenantId) {
+		const tenant = this._tenants.get(tenantId);
+		if (!tenant) {
+			return;
+		}
+		this._tenants.delete(tenantId);
+		const persistence = await tenant.catch(() => null);
+		if (persistence) {
+			await persistence.destroy();
+		}
+	}
+
+	/**
+	 * Close the persistences of all tenants and the clients that were created for them.
+	 *
+	 * @return {Promise<void>}
+	 */
+	async destroy() {
+		await Promise.all(
+			Array.from(this._tenants.keys()).map((tenantId) => this.destroyTenant(tenantId)),
+		);
+		const clients = Array.from(this._clients.values());
+		this._clients.clear();
+		await Promise.all(clients.map((client) => client.close()));
+	}
+
+	/**
+	 * This is a private method and might change in the future.
+	 *
+	 * @param {string} tenantId
+	 * @return {Promise<MongodbPersistence>}
+	 */
+	async _createTenant(tenantId) {
+		const connection = await this.resolver(tenantId);
+		/** @type {{ client: MongoClient, db: import('mongodb').Db }} */
+		let connectionObj;
+		if (connection && 'connectionString' in connection && connection.connectionString) {
+			let client = this._clients.get(connection.connectionString);
+			if (!client) {
+				client = new MongoClient(connection.connectionString);
+				this._clients.set(connection.connectionString, client);
+			}
+			connectionObj = { client, db: client.db(connection.dbName) };
+		} else if (connection && 'client' in connection && connection.client && connection.db) {
+			connectionObj = connection;
+		} else {
+			throw new InvalidConnectionError(
+				`The resolver returned an invalid connection for tenant "${tenantId}". Must be { connectionString, dbName? } or { client, db }.`,
+			);
+		}
+		// the client is shared with other tenants (or owned by the resolver)
+		return new MongodbPersistence(connectionObj, { ...this.opts, closeClient: false });
+	}
+}
@@ -0,0 +1,97 @@
+import * as Y from 'yjs';
+import { PersistenceError } from './errors.js';
+import { isEmptyUpdate } from './utils.js';
+
+/**
+ * The part of y-websocket's WSSharedDoc that we need.
+ * @typedef {Y.Doc & { name?: string }} SharedDoc
+ */
+
+/**
+ * @typedef {Object} YWebsocketPersistence
+ * @property {function(string, SharedDoc):Promise<void>} bindState
+ * @property {function(string, SharedDoc):Promise<void>} writeState
+ */
+
+/**
+ * Create the persistence for y-websocket's `setPersistence`.
+ *
+ * - bindState loads the stored document and only stores the content the stored document doesn't
+ *   know yet (instead of the full document, which would duplicate the stored state).
+ * - Every following update of the document is stored, empty updates are skipped.
+ * - writeState (called once the last client disconnected) waits for all pending writes and
+ *   merges the stored updates of the document.
+ *
+ * @param {import('./y-mongodb.js').MongodbPersistence} mdb
+ * @param {object} [opts]
+ * @param {boolean} [opts.flushOnWriteState] Merge the stored updates of a document in writeState.
+ * Default: true
+ * @return {YWebsocketPersistence}
+ */
+export const createYWebsocketPersistence = (mdb, opts = {}) => {
+	const { flushOnWriteState = true } = opts;
+	/** @type {Map<string, Set<Promise<any>>>} */
+	const pendingWrites = new Map();
+
+	/**
+	 * @param {string} docName
+	 * @param {Promise<any>} write
+	 */
+	const track = (docName, write) => {
+		let pending = pendingWrites.get(docName);
+		if (!pending) {
+			pending = new Set();
+			pendingWrites.set(docName, pending);
+		}
+		pending.add(write);
+		const done = () => {
+			pending?.delete(write);
+			if (pending?.size === 0 && pendingWrites.get(docName) === pending) {
+				pendingWrites.delete(docName);
+			}
+		};
+		write.then(done, done);
+	};
+
+	/**
+	 * @param {string} docName
+	 * @param {Uint8Array} update
+	 */
+	const storeUpdate = (docName, update) => {
+		if (!isEmptyUpdate(update)) {
+			track(docName, mdb.storeUpdate(docName, update));
+		}
+	};
+
+	return {
+		bindState: (docName, ydoc) => {
+			const binding = (async () => {
+				const persistedYdoc = await mdb.getYDoc(docName);
+				// with errorMode "warn" a failed read resolves with null
+				if (!persistedYdoc) {
+					throw new PersistenceError(`Couldnt load document "${docName}"`);
+				}
+				// clients might have changed the document while it was loaded
+				storeUpdate(docName, Y.encodeStateAsUpdate(ydoc, Y.encodeStateVector(persistedYdoc)));
+				Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(persistedYdoc));
+				persistedYdoc.destroy();
+				ydoc.on('update', (update) => {
+					storeUpdate(docName, update);
+				});
+			})();
+			// writeState has to wait until the document is bound
+			track(docName, binding);
+			return binding;
+		},
+		writeState: async (docName) => {
+			// updates might be stored while we wait
+			while (pendingWrites.has(docName)) {
+				// eslint-disable-next-line no-await-in-loop
+				await Promise.allSettled(pendingWrites.get(docName) ?? []);
+			}
+			if (flushOnWriteState) {
+				await mdb.flushDocument(docName);
+			}
+		},
+	};
+};
@@ -0,0 +1,134 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const Y = require('yjs');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+// I ignore it here because if you run "npm run test" it first builds the project and then runs the tests.
+// eslint-disable-next-line import/no-unresolved
+const { MongodbPersistence } = require('../dist/y-mongodb.cjs');
+
+const CLI = path.join(__dirname, '../bin/y-mongodb.js');
+
+// resolves with the exit code and the output instead of rejecting for exit codes other than 0
+const runCli = (args) =>
+	new Promise((resolve) => {
+		execFile(process.execPath, [CLI, ...args], (err, stdout, stderr) => {
+			resolve({ code: err ? err.code : 0, stdout, stderr });
+		});
+	});
+
+describe('command-line tool', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let tmpDir;
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), { collectionName });
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'y-mongodb-cli-'));
+
+		const ydoc = new Y.Doc();
+		ydoc.on('update', (update) => mongodbPersistence.storeUpdate('cliDoc', update));
+		ydoc.getText('name').insert(0, 'hello');
+		ydoc.getText('name').insert(5, ' world');
+		// wait for the updates
+		await mongodbPersistence.getYDoc('cliDoc');
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+		if (tmpDir) {
+			fs.rmSync(tmpDir, { recursive: true, force: true });
+		}
+	});
+
+	const cli = (...args) =>
+		runCli([mongoServer.getUri(), ...args, '--collection-name', collectionName]);
+
+	it('should list the documents', async () => {
+		const { code, stdout } = await cli('list', '--json');
+
+		expect(code).toEqual(0);
+		expect(JSON.parse(stdout)).toEqual(['cliDoc']);
+	});
+
+	it('should print the stats of a document', async () => {
+		const { code, stdout } = await cli('stats', 'cliDoc', '--json');
+
+		expect(code).toEqual(0);
+		expect(JSON.parse(stdout)).toMatchObject({ docName: 'cliDoc', updates: 2, parts: 2, clock: 1 });
+	});
+
+	it('should export and import a document', async () => {
+		const file = path.join(tmpDir, 'cliDoc.bin');
+		expect((await cli('export', 'cliDoc', '--output', file)).code).toEqual(0);
+
+		const refused = await cli('import', 'importedDoc', file);
+		expect(refused.code).toEqual(1);
+		expect(refused.stderr).toContain('--yes');
+		expect(await mongodbPersistence.getAllDocNames()).toEqual(['cliDoc']);
+
+		const { code } = await cli('import', 'importedDoc', file, '--yes');
+
+		expect(code).toEqual(0);
+		const ydoc = await mongodbPersistence.getYDoc('importedDoc');
+		expect(ydoc.getText('name').toString()).toEqual('hello world');
+	});
+
+	it('should flush a document', async () => {
+		const { code } = await cli('flush', 'cliDoc');
+
+		expect(code).toEqual(0);
+		expect(await mongodbPersistence.getDocumentStats('cliDoc')).toMatchObject({ updates: 1 });
+	});
+
+	it('should only flush all documents after confirmation', async () => {
+		const refused = await cli('flush', '--all');
+		expect(refused.code).toEqual(1);
+		expect(refused.stderr).toContain('--yes');
+
+		const { code, stdout } = await cli('flush', '--all', '--yes', '--json');
+
+		expect(code).toEqual(0);
+		expect(JSON.parse(stdout).flushed.sort()).toEqual(['cliDoc', 'importedDoc']);
+	});
+
+	it('should verify a document', async () => {
+		const { code, stdout } = await cli('verify', 'cliDoc', '--json');
+
+		expect(code).toEqual(0);
+		expect(JSON.parse(stdout)).toEqual({
+			docName: 'cliDoc',
+			valid: true,
+			errors: [],
+			warnings: [],
+		});
+		expect((await cli('verify', 'missingDoc')).code).toEqual(1);
+		// verifying doesnt write anything, e.g. a clock counter for the missing document
+		const documents = await mongodbPersistence.listDocuments();
+		expect(documents.map(({ docName }) => docName)).not.toContain('missingDoc');
+	});
+
+	it('should only clear a document after confirmation', async () => {
+		const refused = await cli('clear', 'importedDoc');
+		expect(refused.code).toEqual(1);
+		expect(refused.stderr).toContain('--yes');
+		expect((await mongodbPersistence.getAllDocNames()).sort()).toEqual(['cliDoc', 'importedDoc']);
+
+		const { code } = await cli('clear', 'importedDoc', '--yes');
+
+		expect(code).toEqual(0);
+		expect(await mongodbPersistence.getAllDocNames()).toEqual(['cliDoc']);
+	});
+
+	it('should exit with 2 for unknown commands', async () => {
+		expect((await cli('unknown')).code).toEqual(2);
+	});
+});
@@ -0,0 +1,191 @@
+const Y = require('yjs');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+// I ignore it here because if you run "npm run test" it first builds the project and then runs the tests.
+// eslint-disable-next-line import/no-unresolved
+const {
+	MongodbPersistence,
+	MongodbHocuspocusExtension,
+	PersistenceError,
+	createYWebsocketPersistence,
+} = require('../dist/y-mongodb.cjs');
+
+describe('hocuspocus extension', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let mongoConnection;
+	let extension;
+	const documentName = 'testDoc';
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), { collectionName });
+		extension = new MongodbHocuspocusExtension(mongodbPersistence);
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const countUpdates = () =>
+		mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName)
+			.countDocuments({ docName: documentName, action: 'update' });
+
+	it('should only store the changes since the last store', async () => {
+		const document = new Y.Doc();
+		await extension.onLoadDocument({ documentName, document });
+
+		document.getText('name').insert(0, 'hello');
+		await extension.onStoreDocument({ documentName, document });
+		expect(await countUpdates()).toEqual(1);
+
+		// nothing changed
+		await extension.onStoreDocument({ documentName, document });
+		expect(await countUpdates()).toEqual(1);
+
+		document.getText('name').insert(5, ' world');
+		await extension.onStoreDocument({ documentName, document });
+		expect(await countUpdates()).toEqual(2);
+
+		// another client is still connected
+		await extension.onDisconnect({ documentName, document, clientsCount: 1 });
+		expect(await countUpdates()).toEqual(2);
+
+		await extension.onDisconnect({ documentName, document, clientsCount: 0 });
+		expect(await countUpdates()).toEqual(1);
+
+		// hocuspocus stores the document once more before it is unloaded
+		await extension.onStoreDocument({ documentName, document });
+		await extension.afterUnloadDocument({ documentName });
+		expect(await countUpdates()).toEqual(1);
+		document.destroy();
+	});
+
+	it('should load the stored document', async () => {
+		const document = new Y.Doc();
+		await extension.onLoadDocument({ documentName, document });
+		expect(document.getText('name').toString()).toEqual('hello world');
+
+		await extension.onStoreDocument({ documentName, document });
+		expect(await countUpdates()).toEqual(1);
+		document.destroy();
+	});
+
+	it('should share the documents with createYWebsocketPersistence', async () => {
+		const document = new Y.Doc();
+		await extension.onLoadDocument({ documentName, document });
+		document.getText('other').insert(0, 'hocuspocus');
+		await extension.onStoreDocument({ documentName, document });
+		await extension.onDisconnect({ documentName, document, clientsCount: 0 });
+		await extension.afterUnloadDocument({ documentName });
+		document.destroy();
+
+		const ydoc = new Y.Doc();
+		const persistence = createYWebsocketPersistence(mongodbPersistence);
+		await persistence.bindState(documentName, ydoc);
+		expect(ydoc.getText('name').toString()).toEqual('hello world');
+		expect(ydoc.getText('other').toString()).toEqual('hocuspocus');
+		await persistence.writeState(documentName, ydoc);
+		ydoc.destroy();
+	});
+});
+
+describe('hocuspocus extension with a failing persistence', () => {
+	const documentName = 'testDoc';
+
+	// resolves or rejects the stores with the given results, one after another. Loading fails like
+	// with errorMode "warn" (it resolves with null)
+	const createPersistence = (results) => ({
+		stored: [],
+		flushed: 0,
+		async storeUpdate(docName, update) {
+			const result = results.shift();
+			if (result instanceof Error) {
+				throw result;
+			}
+			if (result !== null) {
+				this.stored.push(update);
+			}
+			return result;
+		},
+		async flushDocument() {
+			this.flushed += 1;
+		},
+		async getYDoc() {
+			return null;
+		},
+	});
+
+	const getText = (updates) => {
+		const ydoc = new Y.Doc();
+		updates.forEach((update) => Y.applyUpdate(ydoc, update));
+		return ydoc.getText('name').toString();
+	};
+
+	it('should store the diff of a rejected store with the next store', async () => {
+		const mdb = createPersistence([new Error('write failed'), 1]);
+		const extension = new MongodbHocuspocusExtension(mdb);
+		const document = new Y.Doc();
+		document.getText('name').insert(0, 'hello');
+		const failed = extension.onStoreDocument({ documentName, document });
+		document.getText('name').insert(5, ' world');
+		const next = extension.onStoreDocument({ documentName, document });
+
+		await expect(failed).rejects.toThrow('write failed');
+		await next;
+		expect(getText(mdb.stored)).toEqual('hello world');
+
+		await extension.onDisconnect({ documentName, document, clientsCount: 0 });
+		expect(mdb.flushed).toEqual(1);
+		document.destroy();
+	});
+
+	it('should flush even if the last store was rejected', async () => {
+		const mdb = createPersistence([new Error('write failed')]);
+		const extension = new MongodbHocuspocusExtension(mdb);
+		const document = new Y.Doc();
+		document.getText('name').insert(0, 'hello');
+
+		await expect(extension.onStoreDocument({ documentName, document })).rejects.toThrow();
+		await extension.onDisconnect({ documentName, document, clientsCount: 0 });
+		await extension.afterUnloadDocument({ documentName });
+		expect(mdb.flushed).toEqual(1);
+		document.destroy();
+	});
+
+	it('should store the diff of a store that resolved with null with the next store', async () => {
+		const mdb = createPersistence([null, 0]);
+		const extension = new MongodbHocuspocusExtension(mdb);
+		const document = new Y.Doc();
+		document.getText('name').insert(0, 'hello');
+		await extension.onStoreDocument({ documentName, document });
+		expect(mdb.stored).toEqual([]);
+
+		document.getText('name').insert(5, ' world');
+		await extension.onStoreDocument({ documentName, document });
+		expect(getText(mdb.stored)).toEqual('hello world');
+		document.destroy();
+	});
+
+	it('should reject onLoadDocument if the document couldnt be loaded', async () => {
+		const extension = new MongodbHocuspocusExtension(createPersistence([]));
+		const document = new Y.Doc();
+
+		await expect(extension.onLoadDocument({ documentName, document })).rejects.toThrow(
+			PersistenceError,
+		);
+		document.destroy();
+	});
+});
@@ -0,0 +1,33 @@
+// Merges the updates in $file and prints the peak memory (maxRSS in kb) before and after.
+// This runs in its own process, so the peak isn't distorted by other tests.
+// Usage: node measureMergeMemory.mjs <ydoc|updates> <file>
+import fs from 'fs';
+import * as Y from 'yjs';
+import { mergeUpdates } from '../src/utils.js';
+
+const [mode, file] = process.argv.slice(2);
+
+// the file contains the updates, each prefixed with its length (uint32)
+const data = fs.readFileSync(file);
+const updates = [];
+for (let offset = 0; offset < data.length; ) {
+	const length = data.readUInt32LE(offset);
+	updates.push(new Uint8Array(data.subarray(offset + 4, offset + 4 + length)));
+	offset += 4 + length;
+}
+
+const before = process.resourceUsage().maxRSS;
+let result;
+if (mode === 'ydoc') {
+	// how documents were merged before: apply everything to a Y.Doc and encode it again
+	const ydoc = new Y.Doc();
+	ydoc.transact(() => {
+		updates.forEach((update) => Y.applyUpdate(ydoc, update));
+	});
+	result = { update: Y.encodeStateAsUpdate(ydoc), sv: Y.encodeStateVector(ydoc) };
+} else {
+	result = mergeUpdates(updates);
+}
+const after = process.resourceUsage().maxRSS;
+
+process.stdout.write(JSON.stringify({ before, after, size: result.update.length }));
@@ -0,0 +1,51 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Y = require('yjs');
+const generateLargeText = require('./generateLargeText.js');
+
+const measure = (mode, file) =>
+	JSON.parse(
+		execFileSync(process.execPath, [path.join(__dirname, 'measureMergeMemory.mjs'), mode, file], {
+			encoding: 'utf8',
+		}),
+	);
+
+describe('merge 40mb of data without a Y.Doc', () => {
+	let file;
+
+	beforeAll(() => {
+		// the content is typed in chunks, so there is something to merge
+		const content = generateLargeText(40);
+		const ydoc = new Y.Doc();
+		const chunks = [];
+		ydoc.on('update', (update) => {
+			const length = Buffer.alloc(4);
+			length.writeUInt32LE(update.length);
+			chunks.push(length, update);
+		});
+		const chunkSize = 512 * 1024;
+		for (let i = 0; i < content.length; i += chunkSize) {
+			ydoc.getText('name').insert(i, content.slice(i, i + chunkSize));
+		}
+		file = path.join(os.tmpdir(), `y-mongodb-merge-${process.pid}.bin`);
+		fs.writeFileSync(file, Buffer.concat(chunks));
+	});
+
+	afterAll(() => {
+		if (file) {
+			fs.rmSync(file, { force: true });
+		}
+	});
+
+	it('should need less memory than merging with a Y.Doc', () => {
+		const ydocRun = measure('ydoc', file);
+		const updatesRun = measure('updates', file);
+
+		// both contain the full text
+		expect(updatesRun.size).toBeGreaterThan(20 * 1024 * 1024);
+		expect(ydocRun.size).toBeGreaterThan(20 * 1024 * 1024);
+		expect(updatesRun.after - updatesRun.before).toBeLessThan(ydocRun.after - ydocRun.before);
+	}, 60000);
+});
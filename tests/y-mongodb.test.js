@@ -1,9 +1,21 @@
+const crypto = require('crypto');
+const { PassThrough, Readable } = require('stream');
 const Y = require('yjs');
-const { MongoMemoryServer } = require('mongodb-memory-server');
-const { MongoClient } = require('mongodb');
+const { MongoMemoryServer, MongoMemoryReplSet } = require('mongodb-memory-server');
+const { MongoClient, MongoNetworkError } = require('mongodb');
 // I ignore it here because if you run "npm run test" it first builds the project and then runs the tests.
 // eslint-disable-next-line import/no-unresolved
-const { MongodbPersistence } = require('../dist/y-mongodb.cjs');
+const {
+	MongodbPersistence,
+	MultiTenantPersistence,
+	PersistenceError,
+	InvalidConnectionError,
+	MissingUpdatePartError,
+	NotFoundError,
+	InvalidCollectionNameError,
+	hashedCollectionResolver,
+	encodedCollectionResolver,
+} = require('../dist/y-mongodb.cjs');
 const generateLargeText = require('./generateLargeText.js');
 
 const storeDocWithText = async (mongodbPersistence, docName, content) => {
@@ -377,3 +389,2088 @@ describe('store 40mb of data in single collection', () => {
 		expect(count).toEqual(0);
 	});
 });
+
+describe('snapshots in single collection', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let mongoConnection;
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+	let snapshotId;
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), { collectionName });
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	it('should create a snapshot', async () => {
+		await storeDocWithText(mongodbPersistence, docName, 'first');
+
+		const snapshot = await mongodbPersistence.createSnapshot(docName, 'v1 approved');
+		snapshotId = snapshot.id;
+
+		expect(snapshot.label).toEqual('v1 approved');
+		expect(snapshot.clock).toEqual(0);
+	});
+
+	it('should list snapshots', async () => {
+		const snapshots = await mongodbPersistence.listSnapshots(docName);
+
+		expect(snapshots.length).toEqual(1);
+		expect(snapshots[0].id).toEqual(snapshotId);
+		expect(snapshots[0].label).toEqual('v1 approved');
+	});
+
+	it('should keep snapshots when the document is flushed', async () => {
+		await storeDocWithText(mongodbPersistence, docName, 'second');
+		await mongodbPersistence.flushDocument(docName);
+
+		const snapshots = await mongodbPersistence.listSnapshots(docName);
+		expect(snapshots.length).toEqual(1);
+
+		const ydoc = await mongodbPersistence.getYDoc(docName);
+		expect(ydoc.getText('name').toString().length).toEqual('firstsecond'.length);
+	});
+
+	it('should retrieve the document at the snapshot', async () => {
+		const ydoc = await mongodbPersistence.getYDocAtSnapshot(docName, snapshotId);
+		expect(ydoc.getText('name').toString()).toEqual('first');
+
+		const missing = await mongodbPersistence.getYDocAtSnapshot(docName, 'unknown');
+		expect(missing).toEqual(null);
+	});
+
+	it('should restore the document to the snapshot', async () => {
+		await mongodbPersistence.restoreSnapshot(docName, snapshotId);
+
+		const ydoc = await mongodbPersistence.getYDoc(docName);
+		expect(ydoc.getText('name').toString()).toEqual('first');
+	});
+
+	it('should remove snapshots when the document is cleared', async () => {
+		await mongodbPersistence.clearDocument(docName);
+
+		const db = mongoConnection.db(mongoServer.instanceInfo.dbName);
+		const collection = db.collection(collectionName);
+		const count = await collection.countDocuments();
+		expect(count).toEqual(0);
+	});
+});
+
+describe('history retention in single collection', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let mongoConnection;
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+	let dateAfterFirstUpdate;
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			historyRetention: true,
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	it('should move merged updates into the history collection', async () => {
+		await storeDocWithText(mongodbPersistence, docName, 'first');
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10);
+		});
+		dateAfterFirstUpdate = new Date();
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10);
+		});
+		await storeDocWithText(mongodbPersistence, docName, 'second');
+		await mongodbPersistence.flushDocument(docName);
+
+		const db = mongoConnection.db(mongoServer.instanceInfo.dbName);
+		const count = await db.collection(collectionName).countDocuments();
+		const historyCount = await db.collection(`${collectionName}-history`).countDocuments();
+
+		// one is the stateVector and the other is the merged update
+		expect(count).toEqual(2);
+		expect(historyCount).toEqual(2);
+	});
+
+	it('should retrieve the document at a clock', async () => {
+		const firstYdoc = await mongodbPersistence.getYDocAtClock(docName, 0);
+		expect(firstYdoc.getText('name').toString()).toEqual('first');
+
+		const currentYdoc = await mongodbPersistence.getYDocAtClock(docName, 2);
+		expect(currentYdoc.getText('name').toString().length).toEqual('firstsecond'.length);
+	});
+
+	it('should retrieve the document at a date', async () => {
+		const ydoc = await mongodbPersistence.getYDocAt(docName, dateAfterFirstUpdate);
+		expect(ydoc.getText('name').toString()).toEqual('first');
+
+		const emptyYdoc = await mongodbPersistence.getYDocAt(docName, new Date(0));
+		expect(emptyYdoc.getText('name').toString()).toEqual('');
+	});
+
+	it('should remove the history when the document is cleared', async () => {
+		await mongodbPersistence.clearDocument(docName);
+
+		const db = mongoConnection.db(mongoServer.instanceInfo.dbName);
+		const historyCount = await db.collection(`${collectionName}-history`).countDocuments();
+		expect(historyCount).toEqual(0);
+	});
+});
+
+describe('history retention with a clock limit', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let mongoConnection;
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			historyRetention: { clocks: 1 },
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	it('should prune the history up to the newest checkpoint outside of the retention', async () => {
+		await storeDocWithText(mongodbPersistence, docName, 'first');
+		await storeDocWithText(mongodbPersistence, docName, 'second');
+		await mongodbPersistence.flushDocument(docName);
+		await storeDocWithText(mongodbPersistence, docName, 'third');
+		await mongodbPersistence.flushDocument(docName);
+
+		const db = mongoConnection.db(mongoServer.instanceInfo.dbName);
+		const history = await db
+			.collection(`${collectionName}-history`)
+			.find({}, { sort: { clock: 1 } })
+			.toArray();
+		// the first checkpoint (clock 2) and the update after it (clock 3) are kept
+		expect(history.map((doc) => doc.clock)).toEqual([2, 3]);
+
+		// the state at clock 1 is no longer available (the transaction resolves with null on errors)
+		const prunedYdoc = await mongodbPersistence.getYDocAtClock(docName, 1);
+		expect(prunedYdoc).toEqual(null);
+		const ydoc = await mongodbPersistence.getYDocAtClock(docName, 2);
+		expect(ydoc.getText('name').toString().length).toEqual('firstsecond'.length);
+	});
+});
+
+describe('subscribe to updates of other instances', () => {
+	let mongoReplSet;
+	let persistenceOne;
+	let persistenceTwo;
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		// change streams are only available on replica sets
+		mongoReplSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+		persistenceOne = new MongodbPersistence(mongoReplSet.getUri(), { collectionName });
+		persistenceTwo = new MongodbPersistence(mongoReplSet.getUri(), { collectionName });
+	});
+
+	afterAll(async () => {
+		if (persistenceOne) {
+			await persistenceOne.destroy();
+		}
+		if (persistenceTwo) {
+			await persistenceTwo.destroy();
+		}
+		if (mongoReplSet) {
+			await mongoReplSet.stop();
+		}
+	});
+
+	it('should receive updates stored by another instance', async () => {
+		const received = [];
+		const unsubscribe = await persistenceTwo.subscribe(docName, (event) => {
+			received.push(event);
+		});
+
+		// this update is skipped because persistenceTwo wrote it itself
+		await storeDocWithText(persistenceTwo, docName, 'own');
+		await storeDocWithText(persistenceOne, docName, 'remote');
+		// flushes are not delivered
+		await persistenceOne.flushDocument(docName);
+
+		await new Promise((resolve) => {
+			setTimeout(resolve, 1000);
+		});
+		await unsubscribe();
+
+		expect(received.length).toEqual(1);
+		expect(received[0].docName).toEqual(docName);
+		expect(received[0].clock).toEqual(1);
+		expect(received[0].resumeToken).toBeDefined();
+
+		const ydoc = new Y.Doc();
+		Y.applyUpdate(ydoc, received[0].update);
+		expect(ydoc.getText('name').toString()).toEqual('remote');
+	});
+
+	it('should resume a subscription with a resume token', async () => {
+		const firstReceived = [];
+		const unsubscribe = await persistenceTwo.subscribeAll((event) => {
+			firstReceived.push(event);
+		});
+		await storeDocWithText(persistenceOne, 'otherDoc', 'first');
+		await new Promise((resolve) => {
+			setTimeout(resolve, 1000);
+		});
+		await unsubscribe();
+		expect(firstReceived.length).toEqual(1);
+
+		// stored while nobody is subscribed
+		await storeDocWithText(persistenceOne, 'otherDoc', 'second');
+
+		const resumedReceived = [];
+		const resumedUnsubscribe = await persistenceTwo.subscribeAll(
+			(event) => {
+				resumedReceived.push(event);
+			},
+			{ resumeAfter: firstReceived[0].resumeToken },
+		);
+		await new Promise((resolve) => {
+			setTimeout(resolve, 1000);
+		});
+		await resumedUnsubscribe();
+
+		expect(resumedReceived.length).toEqual(1);
+		expect(resumedReceived[0].docName).toEqual('otherDoc');
+		expect(resumedReceived[0].clock).toEqual(1);
+	});
+
+	it('should skip the snapshots restored by the instance itself', async () => {
+		await storeDocWithText(persistenceTwo, 'restoredDoc', 'first');
+		const { id } = await persistenceTwo.createSnapshot('restoredDoc', 'first');
+		await storeDocWithText(persistenceTwo, 'restoredDoc', 'second');
+		const received = [];
+		const unsubscribe = await persistenceTwo.subscribe('restoredDoc', (event) => {
+			received.push(event);
+		});
+
+		await persistenceTwo.restoreSnapshot('restoredDoc', id);
+		await storeDocWithText(persistenceOne, 'restoredDoc', 'remote');
+		await new Promise((resolve) => {
+			setTimeout(resolve, 1000);
+		});
+		await unsubscribe();
+
+		expect(received.map(({ clock }) => clock)).toEqual([3]);
+	});
+});
+
+describe('concurrent writes of multiple instances to the same document', () => {
+	let mongoServer;
+	let mongoConnection;
+	const persistences = [];
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+	const instanceCount = 4;
+	const updatesPerInstance = 10;
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		for (let i = 0; i < instanceCount; i++) {
+			persistences.push(new MongodbPersistence(mongoServer.getUri(), { collectionName }));
+		}
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		await Promise.all(persistences.map((persistence) => persistence.destroy()));
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	it('should not lose any update', async () => {
+		const contents = [];
+		await Promise.all(
+			persistences.map(async (persistence, i) => {
+				for (let j = 0; j < updatesPerInstance; j++) {
+					const content = `[${i}-${j}]`;
+					contents.push(content);
+					// eslint-disable-next-line no-await-in-loop
+					await storeDocWithText(persistence, docName, content);
+				}
+			}),
+		);
+
+		const db = mongoConnection.db(mongoServer.instanceInfo.dbName);
+		const updates = await db.collection(collectionName).find({ action: 'update' }).toArray();
+		const clocks = new Set(updates.map((update) => update.clock));
+		expect(updates.length).toEqual(instanceCount * updatesPerInstance);
+		expect(clocks.size).toEqual(instanceCount * updatesPerInstance);
+
+		const ydoc = await persistences[0].getYDoc(docName);
+		const text = ydoc.getText('name').toString();
+		contents.forEach((content) => {
+			expect(text).toContain(content);
+		});
+	});
+});
+
+describe('document locks of multiple instances', () => {
+	let mongoServer;
+	let mongoConnection;
+	let persistence;
+	let otherPersistence;
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		persistence = new MongodbPersistence(mongoServer.getUri(), { collectionName });
+		otherPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			lockTimeout: 200,
+			flushSize: 1,
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (persistence) {
+			await persistence.destroy();
+		}
+		if (otherPersistence) {
+			await otherPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	it('should not flush a document while another instance holds its lock', async () => {
+		await storeDocWithText(persistence, docName, 'first');
+		await storeDocWithText(persistence, docName, 'second');
+		const collection = mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName);
+
+		await persistence.withDocumentLock(docName, async () => {
+			// the flush gives up after the lock timeout
+			await otherPersistence.flushDocument(docName);
+			expect(await collection.countDocuments({ action: 'update' })).toEqual(2);
+
+			// getYDoc still works, it just skips the automatic flush
+			const ydoc = await otherPersistence.getYDoc(docName);
+			expect(ydoc.getText('name').toString()).toContain('first');
+			expect(await collection.countDocuments({ action: 'update' })).toEqual(2);
+		});
+
+		await otherPersistence.flushDocument(docName);
+		expect(await collection.countDocuments({ action: 'update' })).toEqual(1);
+	});
+
+	it('should allow nested calls while holding the lock', async () => {
+		await storeDocWithText(persistence, docName, 'third');
+		await persistence.withDocumentLock(docName, async () => {
+			await persistence.flushDocument(docName);
+		});
+		const collection = mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName);
+		expect(await collection.countDocuments({ action: 'update' })).toEqual(1);
+		expect(
+			await mongoConnection
+				.db(mongoServer.instanceInfo.dbName)
+				.collection(`${collectionName}-locks`)
+				.countDocuments(),
+		).toEqual(0);
+	});
+
+	it('should make other callers of the same instance wait for the lock', async () => {
+		await storeDocWithText(persistence, docName, 'fourth');
+		const collection = mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName);
+		let finishJob;
+		const job = persistence.withDocumentLock(
+			docName,
+			() =>
+				new Promise((resolve) => {
+					finishJob = resolve;
+				}),
+		);
+		await new Promise((resolve) => {
+			setTimeout(resolve, 100);
+		});
+
+		// not called from the job, so it waits until the job finished
+		const flushed = persistence.flushDocument(docName);
+		await new Promise((resolve) => {
+			setTimeout(resolve, 300);
+		});
+		expect(await collection.countDocuments({ action: 'update' })).toEqual(2);
+
+		finishJob();
+		await job;
+		await flushed;
+		expect(await collection.countDocuments({ action: 'update' })).toEqual(1);
+	});
+});
+
+describe('indexes', () => {
+	let mongoServer;
+	let mongoConnection;
+	const collectionName = 'testCollection';
+	const indexKey = { version: 1, docName: 1, action: 1, clock: 1, part: 1 };
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const getIndexKeys = async (name) => {
+		const db = mongoConnection.db(mongoServer.instanceInfo.dbName);
+		const indexes = await db.collection(name).indexes();
+		return indexes.map((index) => index.key);
+	};
+
+	it('should create the index the first time a collection is written', async () => {
+		const persistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'autoIndexed',
+		});
+		await storeDocWithText(persistence, 'testDoc', 'indexed');
+		expect(await getIndexKeys('autoIndexed')).toContainEqual(indexKey);
+		await persistence.destroy();
+	});
+
+	it('should create the index of each collection with multipleCollections', async () => {
+		const persistence = new MongodbPersistence(mongoServer.getUri(), {
+			multipleCollections: true,
+		});
+		await storeDocWithText(persistence, 'firstDoc', 'first');
+		await storeDocWithText(persistence, 'secondDoc', 'second');
+		expect(await getIndexKeys('firstDoc')).toContainEqual(indexKey);
+		expect(await getIndexKeys('secondDoc')).toContainEqual(indexKey);
+		await persistence.destroy();
+	});
+
+	it('should report missing and redundant indexes', async () => {
+		const persistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			autoIndex: false,
+		});
+		await storeDocWithText(persistence, 'testDoc', 'not indexed');
+		const db = mongoConnection.db(mongoServer.instanceInfo.dbName);
+		await db.collection(collectionName).createIndex({ version: 1, docName: 1 });
+
+		expect(await persistence.checkIndexes()).toEqual([
+			{ collection: collectionName, missing: true, redundant: ['version_1_docName_1'] },
+		]);
+
+		await persistence.ensureIndexes();
+		expect(await getIndexKeys(collectionName)).toContainEqual(indexKey);
+		expect(await persistence.checkIndexes()).toEqual([
+			{ collection: collectionName, missing: false, redundant: ['version_1_docName_1'] },
+		]);
+		await persistence.destroy();
+	});
+});
+
+describe('store large updates in GridFS', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let mongoConnection;
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+	const largeContent = 'x'.repeat(2000);
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			gridFS: { threshold: 1000 },
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const countFiles = () =>
+		mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(`${collectionName}.files`)
+			.countDocuments();
+
+	it('should store updates above the threshold as files', async () => {
+		await storeDocWithText(mongodbPersistence, docName, largeContent);
+		await storeDocWithText(mongodbPersistence, docName, 'small');
+
+		const collection = mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName);
+		const updates = await collection.find({ action: 'update' }).sort({ clock: 1 }).toArray();
+		expect(updates.length).toEqual(2);
+		expect(updates[0].fileId).toBeDefined();
+		expect(updates[0].value).toBeUndefined();
+		expect(updates[1].fileId).toBeUndefined();
+		expect(await countFiles()).toEqual(1);
+	});
+
+	it('should read the files back', async () => {
+		const ydoc = await mongodbPersistence.getYDoc(docName);
+		const text = ydoc.getText('name').toString();
+		expect(text).toContain(largeContent);
+		expect(text).toContain('small');
+	});
+
+	it('should delete the files of merged updates', async () => {
+		await mongodbPersistence.flushDocument(docName);
+		// only the merged document is left
+		expect(await countFiles()).toEqual(1);
+		const ydoc = await mongodbPersistence.getYDoc(docName);
+		expect(ydoc.getText('name').toString()).toContain(largeContent);
+	});
+
+	it('should delete the files when the document is cleared', async () => {
+		await mongodbPersistence.clearDocument(docName);
+		expect(await countFiles()).toEqual(0);
+	});
+});
+
+describe('compression', () => {
+	let mongoServer;
+	let mongoConnection;
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+	const content = 'compress me '.repeat(1000);
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const getUpdates = () =>
+		mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName)
+			.find({ action: 'update' })
+			.sort({ clock: 1 })
+			.toArray();
+
+	it('should read uncompressed and compressed updates', async () => {
+		const plainPersistence = new MongodbPersistence(mongoServer.getUri(), { collectionName });
+		await storeDocWithText(plainPersistence, docName, content);
+		await plainPersistence.destroy();
+
+		const persistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			compression: 'gzip',
+		});
+		await storeDocWithText(persistence, docName, content);
+
+		const updates = await getUpdates();
+		expect(updates.length).toEqual(2);
+		expect(updates[0].codec).toBeUndefined();
+		expect(updates[1].codec).toEqual('gzip');
+		expect(updates[1].value.length()).toBeLessThan(updates[0].value.length());
+
+		const ydoc = await persistence.getYDoc(docName);
+		expect(ydoc.getText('name').toString()).toEqual(content + content);
+		await persistence.destroy();
+	});
+
+	it('should recompress a document in place', async () => {
+		const persistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			compression: 'brotli',
+		});
+		const clocksBefore = (await getUpdates()).map((update) => update.clock);
+
+		expect(await persistence.recompressDocument(docName)).toEqual(2);
+		const updates = await getUpdates();
+		expect(updates.map((update) => update.clock)).toEqual(clocksBefore);
+		updates.forEach((update) => {
+			expect(update.codec).toEqual('brotli');
+		});
+
+		// nothing left to do
+		expect(await persistence.recompressDocument(docName)).toEqual(0);
+		const ydoc = await persistence.getYDoc(docName);
+		expect(ydoc.getText('name').toString()).toEqual(content + content);
+		await persistence.destroy();
+	});
+
+	it('should not accept unknown codecs', () => {
+		expect(
+			() => new MongodbPersistence(mongoServer.getUri(), { collectionName, compression: 'zip' }),
+		).toThrow();
+	});
+});
+
+describe('encryption', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let mongoConnection;
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+	const content = 'top secret';
+	const keys = new Map([
+		['key1', crypto.randomBytes(32)],
+		['key2', crypto.randomBytes(32)],
+	]);
+	let currentKeyId = 'key1';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			encryption: {
+				keyProvider: (_docName, keyId = currentKeyId) => ({ keyId, key: keys.get(keyId) }),
+			},
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const getRecords = () =>
+		mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName)
+			.find({ docName })
+			.toArray();
+
+	it('should store unreadable records', async () => {
+		await storeDocWithText(mongodbPersistence, docName, content);
+		await mongodbPersistence.setMeta(docName, 'owner', 'alice');
+
+		const records = await getRecords();
+		// update, state vector and meta value
+		expect(records.length).toEqual(3);
+		records.forEach((record) => {
+			expect(record.keyId).toEqual('key1');
+			expect(Buffer.from(record.value.buffer).toString()).not.toContain(content);
+			expect(Buffer.from(record.value.buffer).toString()).not.toContain('alice');
+		});
+	});
+
+	it('should decrypt the stored records', async () => {
+		const ydoc = await mongodbPersistence.getYDoc(docName);
+		expect(ydoc.getText('name').toString()).toEqual(content);
+		expect(await mongodbPersistence.getMeta(docName, 'owner')).toEqual('alice');
+		expect(await mongodbPersistence.getStateVector(docName)).toEqual(Y.encodeStateVector(ydoc));
+	});
+
+	it('should reencrypt a document with a new key', async () => {
+		currentKeyId = 'key2';
+		await mongodbPersistence.reencryptDocument(docName, 'key2');
+		(await getRecords()).forEach((record) => {
+			expect(record.keyId).toEqual('key2');
+		});
+
+		// the old key is not needed anymore
+		keys.delete('key1');
+		const ydoc = await mongodbPersistence.getYDoc(docName);
+		expect(ydoc.getText('name').toString()).toEqual(content);
+		expect(await mongodbPersistence.getMeta(docName, 'owner')).toEqual('alice');
+	});
+});
+
+describe('buffered writes', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let mongoConnection;
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			bufferWrites: { maxDelayMs: 60000, maxBytes: 1000 },
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const countUpdates = (docName) =>
+		mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName)
+			.countDocuments({ docName, action: 'update' });
+
+	// storeUpdate resolves once the buffer is written, so we dont wait for it here
+	const typeText = (persistence, docName, content) => {
+		const ydoc = new Y.Doc();
+		const stored = [];
+		ydoc.on('update', (update) => {
+			stored.push(persistence.storeUpdate(docName, update));
+		});
+		content.split('').forEach((char, i) => {
+			ydoc.getText('name').insert(i, char);
+		});
+		return stored;
+	};
+
+	it('should merge the updates of a document into one record', async () => {
+		const stored = typeText(mongodbPersistence, 'firstDoc', 'hello');
+		expect(stored.length).toEqual(5);
+		expect(await countUpdates('firstDoc')).toEqual(0);
+
+		await mongodbPersistence.flushPending();
+		expect(await countUpdates('firstDoc')).toEqual(1);
+		// all updates are part of the same record
+		expect(new Set(await Promise.all(stored)).size).toEqual(1);
+	});
+
+	it('should store the buffered updates before the document is read', async () => {
+		typeText(mongodbPersistence, 'secondDoc', 'world');
+		const ydoc = await mongodbPersistence.getYDoc('secondDoc');
+		expect(ydoc.getText('name').toString()).toEqual('world');
+	});
+
+	it('should write the buffer once it reaches maxBytes', async () => {
+		const stored = typeText(mongodbPersistence, 'thirdDoc', 'x'.repeat(100));
+		// 100 updates with more than 10 bytes each, so the first ones are written right away
+		await stored[0];
+		expect(await countUpdates('thirdDoc')).toBeGreaterThan(0);
+	});
+
+	it('should store the buffered updates on destroy', async () => {
+		typeText(mongodbPersistence, 'fourthDoc', 'bye');
+		await mongodbPersistence.destroy();
+		expect(await countUpdates('fourthDoc')).toEqual(1);
+	});
+});
+
+describe('events', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	const docName = 'testDoc';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'testCollection',
+			flushSize: 2,
+		});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const record = (name) => {
+		const events = [];
+		const listener = mongodbPersistence.on(name, (event) => events.push(event));
+		return {
+			events,
+			stop: () => mongodbPersistence.off(name, listener),
+		};
+	};
+
+	it('should emit update:stored with the clock and sizes', async () => {
+		const { events, stop } = record('update:stored');
+		const ydoc = new Y.Doc();
+		ydoc.getText('name').insert(0, 'hello');
+		const update = Y.encodeStateAsUpdate(ydoc);
+		const clock = await mongodbPersistence.storeUpdate(docName, update);
+		stop();
+
+		expect(events.length).toEqual(1);
+		expect(events[0]).toMatchObject({
+			docName,
+			clock,
+			size: update.length,
+			storedSize: update.length,
+			parts: 1,
+			gridFS: false,
+		});
+		expect(events[0].duration).toBeGreaterThanOrEqual(0);
+	});
+
+	it('should emit document:flushed when getYDoc merges the updates', async () => {
+		const ydoc = new Y.Doc();
+		ydoc.on('update', (update) => mongodbPersistence.storeUpdate(docName, update));
+		ydoc.getText('name').insert(5, ' world');
+		ydoc.getText('name').insert(11, '!');
+
+		const { events, stop } = record('document:flushed');
+		await mongodbPersistence.getYDoc(docName);
+		stop();
+
+		expect(events.length).toEqual(1);
+		expect(events[0]).toMatchObject({ docName, updates: 3, trigger: 'auto' });
+
+		const manual = record('document:flushed');
+		await mongodbPersistence.flushDocument(docName);
+		manual.stop();
+		expect(manual.events[0]).toMatchObject({ docName, updates: 1, trigger: 'manual' });
+	});
+
+	it('should emit transaction:queued if transactions of a document wait for each other', async () => {
+		const { events, stop } = record('transaction:queued');
+		await Promise.all([
+			mongodbPersistence.getStateVector(docName),
+			mongodbPersistence.getStateVector(docName),
+			mongodbPersistence.getStateVector('otherDoc'),
+		]);
+		stop();
+
+		expect(events).toEqual([{ docName, queueLength: 2 }]);
+	});
+
+	it('should emit retry with the documents of a failed bulk write', async () => {
+		const { events, stop } = record('retry');
+		const bulkPut = jest.spyOn(mongodbPersistence._db, 'bulkPut');
+		bulkPut.mockRejectedValueOnce(new MongoNetworkError('connection lost'));
+		const ydoc = new Y.Doc();
+		ydoc.getText('name').insert(0, 'bulk');
+		const update = Y.encodeStateAsUpdate(ydoc);
+
+		await mongodbPersistence.storeUpdates({ firstBulkDoc: update, secondBulkDoc: update });
+		stop();
+		bulkPut.mockRestore();
+
+		expect(events).toEqual([
+			{
+				docNames: expect.arrayContaining(['firstBulkDoc', 'secondBulkDoc']),
+				attempt: 1,
+				retries: 3,
+				delay: 1000,
+				error: expect.any(MongoNetworkError),
+			},
+		]);
+		expect((await mongodbPersistence.getYDoc('secondBulkDoc')).getText('name').toString()).toEqual(
+			'bulk',
+		);
+	});
+
+	it('should emit error if a transaction fails', async () => {
+		const { events, stop } = record('error');
+		const result = await mongodbPersistence.restoreSnapshot(docName, 'missing');
+		stop();
+
+		expect(result).toBeNull();
+		expect(events.length).toEqual(1);
+		expect(events[0].docName).toEqual(docName);
+		expect(events[0].error.message).toContain('missing');
+	});
+
+	it('should not break if a listener throws', async () => {
+		const { events, stop } = record('document:cleared');
+		const listener = mongodbPersistence.on('document:cleared', () => {
+			throw new Error('listener error');
+		});
+		await mongodbPersistence.clearDocument(docName);
+		stop();
+		mongodbPersistence.off('document:cleared', listener);
+
+		expect(events.length).toEqual(1);
+		expect(events[0].docName).toEqual(docName);
+		const ydoc = await mongodbPersistence.getYDoc(docName);
+		expect(ydoc.getText('name').toString()).toEqual('');
+	});
+});
+
+describe('error mode', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let mongoConnection;
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			errorMode: 'throw',
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	it('should validate the option', () => {
+		expect(() => new MongodbPersistence(mongoServer.getUri(), { errorMode: 'ignore' })).toThrow(
+			'errorMode',
+		);
+	});
+
+	it('should throw an InvalidConnectionError for invalid connection objects', () => {
+		expect(() => new MongodbPersistence({ client: null })).toThrow(InvalidConnectionError);
+	});
+
+	it('should reject and keep processing the transactions of the document', async () => {
+		await storeDocWithText(mongodbPersistence, docName, 'hello');
+
+		const restored = mongodbPersistence.restoreSnapshot(docName, 'missing');
+		const ydoc = mongodbPersistence.getYDoc(docName);
+
+		await expect(restored).rejects.toThrow(NotFoundError);
+		await expect(restored).rejects.toBeInstanceOf(PersistenceError);
+		expect((await ydoc).getText('name').toString()).toEqual('hello');
+	});
+
+	it('should reject with a MissingUpdatePartError if a part of an update is missing', async () => {
+		const collection = mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName);
+		const update = { version: 'v1', action: 'update', docName: 'splitDoc', clock: 0, partCount: 3 };
+		await collection.insertMany([
+			{ ...update, part: 1, value: Buffer.from([1]) },
+			{ ...update, part: 3, value: Buffer.from([3]) },
+		]);
+
+		const error = await mongodbPersistence.getYDoc('splitDoc').catch((err) => err);
+		expect(error).toBeInstanceOf(MissingUpdatePartError);
+		expect(error).toMatchObject({ docName: 'splitDoc', clock: 0, part: 2 });
+	});
+
+	it('should reject with a PersistenceError if a record has an unknown compression codec', async () => {
+		const collection = mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName);
+		await collection.insertOne({
+			version: 'v1',
+			action: 'update',
+			docName: 'unknownCodecDoc',
+			clock: 0,
+			codec: 'zstd',
+			value: Buffer.from([1]),
+		});
+
+		await expect(mongodbPersistence.getYDoc('unknownCodecDoc')).rejects.toThrow(PersistenceError);
+	});
+
+	it('should reject with a PersistenceError if the context of an update is invalid', async () => {
+		const ydoc = new Y.Doc();
+		ydoc.getText('name').insert(0, 'hello');
+
+		await expect(
+			mongodbPersistence.storeUpdate('contextDoc', Y.encodeStateAsUpdate(ydoc), { author: 1 }),
+		).rejects.toThrow(PersistenceError);
+	});
+});
+
+describe('bulk writes', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let multiPersistence;
+	let mongoConnection;
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), { collectionName });
+		multiPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'multi',
+			multipleCollections: true,
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (multiPersistence) {
+			await multiPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	// a document and the updates that typing $texts produces
+	const typeTexts = (texts, ydoc = new Y.Doc()) => {
+		const updates = [];
+		ydoc.on('update', (update) => updates.push(update));
+		texts.forEach((text) => {
+			ydoc.getText('name').insert(ydoc.getText('name').length, text);
+		});
+		return { ydoc, updates };
+	};
+
+	const countUpdates = (collection, docName) =>
+		mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collection)
+			.countDocuments({ docName, action: 'update' });
+
+	it('should continue existing documents and start new ones', async () => {
+		await storeDocWithText(mongodbPersistence, 'existingDoc', 'hello');
+		const existing = typeTexts([' big', ' world'], await mongodbPersistence.getYDoc('existingDoc'));
+		const created = typeTexts(['new']);
+
+		const clocks = await mongodbPersistence.storeUpdates({
+			existingDoc: existing.updates,
+			newDoc: created.updates[0],
+		});
+
+		expect(clocks).toEqual({ existingDoc: 2, newDoc: 0 });
+		expect(await countUpdates(collectionName, 'existingDoc')).toEqual(3);
+		expect(await countUpdates(collectionName, 'newDoc')).toEqual(1);
+		const existingYdoc = await mongodbPersistence.getYDoc('existingDoc');
+		expect(existingYdoc.getText('name').toString()).toEqual('hello big world');
+		const newYdoc = await mongodbPersistence.getYDoc('newDoc');
+		expect(newYdoc.getText('name').toString()).toEqual('new');
+		expect(await mongodbPersistence.getStateVector('newDoc')).toEqual(
+			Y.encodeStateVector(created.ydoc),
+		);
+	});
+
+	it('should insert updates with the next clocks', async () => {
+		const { updates } = typeTexts(['!'], await mongodbPersistence.getYDoc('newDoc'));
+		const clocks = await mongodbPersistence.insertUpdates({ newDoc: updates });
+
+		expect(clocks).toEqual({ newDoc: 1 });
+		const ydoc = await mongodbPersistence.getYDoc('newDoc');
+		expect(ydoc.getText('name').toString()).toEqual('new!');
+	});
+
+	it('should write into the collection of each document with multipleCollections', async () => {
+		const clocks = await multiPersistence.storeUpdates({
+			firstDoc: typeTexts(['first']).updates,
+			secondDoc: typeTexts(['second', 'doc']).updates,
+		});
+
+		expect(clocks).toEqual({ firstDoc: 0, secondDoc: 1 });
+		expect(await countUpdates('firstDoc', 'firstDoc')).toEqual(1);
+		expect(await countUpdates('secondDoc', 'secondDoc')).toEqual(2);
+		const ydoc = await multiPersistence.getYDoc('secondDoc');
+		expect(ydoc.getText('name').toString()).toEqual('seconddoc');
+	});
+});
+
+describe('multi-tenancy', () => {
+	let mongoServer;
+	let tenants;
+	let mongoConnection;
+	const resolved = [];
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		tenants = new MultiTenantPersistence(async (tenantId) => {
+			resolved.push(tenantId);
+			if (tenantId === 'unknown') {
+				throw new Error('unknown tenant');
+			}
+			return { connectionString: mongoServer.getUri(), dbName: `tenant-${tenantId}` };
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (tenants) {
+			await tenants.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	it('should store the documents of each tenant in its own database', async () => {
+		const [acme, globex] = await Promise.all([
+			tenants.forTenant('acme'),
+			tenants.forTenant('globex'),
+		]);
+		await storeDocWithText(acme, 'acmeDoc', 'acme');
+		await storeDocWithText(globex, 'globexDoc', 'globex');
+
+		expect(await acme.getAllDocNames()).toEqual(['acmeDoc']);
+		expect(await globex.getAllDocNames()).toEqual(['globexDoc']);
+		const count = await mongoConnection
+			.db('tenant-acme')
+			.collection('yjs-writings')
+			.countDocuments({ docName: 'acmeDoc' });
+		expect(count).toBeGreaterThan(0);
+	});
+
+	it('should create each tenant once and share the client', async () => {
+		const [first, second] = await Promise.all([
+			tenants.forTenant('acme'),
+			tenants.forTenant('acme'),
+		]);
+		const globex = await tenants.forTenant('globex');
+
+		expect(first).toBe(second);
+		expect(first._db.client).toBe(globex._db.client);
+		expect(resolved.filter((tenantId) => tenantId === 'acme').length).toEqual(1);
+	});
+
+	it('should only flush the database of one tenant', async () => {
+		const acme = await tenants.forTenant('acme');
+		await acme.flushDB();
+		await tenants.destroyTenant('acme');
+
+		// the shared client is still open
+		const globex = await tenants.forTenant('globex');
+		const ydoc = await globex.getYDoc('globexDoc');
+		expect(ydoc.getText('name').toString()).toEqual('globex');
+
+		const newAcme = await tenants.forTenant('acme');
+		expect(newAcme).not.toBe(acme);
+		expect(await newAcme.getAllDocNames()).toEqual([]);
+	});
+
+	it('should try to resolve a tenant again if it failed', async () => {
+		await expect(tenants.forTenant('unknown')).rejects.toThrow('unknown tenant');
+		await expect(tenants.forTenant('unknown')).rejects.toThrow('unknown tenant');
+		expect(resolved.filter((tenantId) => tenantId === 'unknown').length).toEqual(2);
+	});
+});
+
+describe('collection resolver', () => {
+	let mongoServer;
+	let hashedPersistence;
+	let encodedPersistence;
+	let rawPersistence;
+	let mongoConnection;
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		hashedPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'hashed',
+			multipleCollections: true,
+			collectionResolver: hashedCollectionResolver({ buckets: 2, prefix: 'bucket-' }),
+			errorMode: 'throw',
+		});
+		encodedPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'encoded',
+			multipleCollections: true,
+			collectionResolver: encodedCollectionResolver(),
+			errorMode: 'throw',
+		});
+		rawPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			multipleCollections: true,
+			errorMode: 'throw',
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (hashedPersistence) {
+			await hashedPersistence.destroy();
+		}
+		if (encodedPersistence) {
+			await encodedPersistence.destroy();
+		}
+		if (rawPersistence) {
+			await rawPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const docNames = ['first', 'second', 'third', 'fourth'];
+
+	it('should share the hashed collections between documents', async () => {
+		await Promise.all(
+			docNames.map((docName) => storeDocWithText(hashedPersistence, docName, docName)),
+		);
+
+		const collections = await mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.listCollections()
+			.toArray();
+		const buckets = collections.filter((c) => c.name.startsWith('bucket-'));
+		expect(buckets.length).toBeLessThanOrEqual(2);
+		expect((await hashedPersistence.getAllDocNames()).sort()).toEqual([...docNames].sort());
+		const ydoc = await hashedPersistence.getYDoc('third');
+		expect(ydoc.getText('name').toString()).toEqual('third');
+	});
+
+	it('should only clear the records of the document in a shared collection', async () => {
+		await hashedPersistence.clearDocument('first');
+
+		expect((await hashedPersistence.getAllDocNames()).sort()).toEqual(
+			['second', 'third', 'fourth'].sort(),
+		);
+		const cleared = await hashedPersistence.getYDoc('first');
+		expect(cleared.getText('name').toString()).toEqual('');
+		const ydocs = await Promise.all(
+			['second', 'third', 'fourth'].map((docName) => hashedPersistence.getYDoc(docName)),
+		);
+		expect(ydocs.map((ydoc) => ydoc.getText('name').toString())).toEqual([
+			'second',
+			'third',
+			'fourth',
+		]);
+	});
+
+	it('should register a document again after another instance cleared it', async () => {
+		const otherPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'hashed',
+			multipleCollections: true,
+			collectionResolver: hashedCollectionResolver({ buckets: 2, prefix: 'bucket-' }),
+			errorMode: 'throw',
+		});
+		try {
+			await otherPersistence.clearDocument('second');
+		} finally {
+			await otherPersistence.destroy();
+		}
+		expect(await hashedPersistence.getAllDocNames()).not.toContain('second');
+
+		await storeDocWithText(hashedPersistence, 'second', 'again');
+
+		expect(await hashedPersistence.getAllDocNames()).toContain('second');
+	});
+
+	it('should store documents with names that MongoDB doesnt allow as collection names', async () => {
+		const docName = `system.$price\0${'x'.repeat(300)}`;
+		await storeDocWithText(encodedPersistence, docName, 'escaped');
+
+		expect(await encodedPersistence.getAllDocNames()).toEqual([docName]);
+		const ydoc = await encodedPersistence.getYDoc(docName);
+		expect(ydoc.getText('name').toString()).toEqual('escaped');
+	});
+
+	it('should throw a typed error for invalid collection names without a resolver', async () => {
+		await expect(rawPersistence.getYDoc('price$')).rejects.toThrow(InvalidCollectionNameError);
+		await expect(rawPersistence.storeUpdate('system.doc', new Uint8Array([0, 0]))).rejects.toThrow(
+			InvalidCollectionNameError,
+		);
+	});
+
+	it('should not accept a resolver without multipleCollections', () => {
+		expect(
+			() =>
+				new MongodbPersistence(mongoServer.getUri(), {
+					collectionResolver: encodedCollectionResolver(),
+				}),
+		).toThrow('collectionResolver');
+	});
+});
+
+describe('layout migration', () => {
+	let mongoServer;
+	let multiPersistence;
+	let singlePersistence;
+	let mongoConnection;
+	const docNames = ['firstDoc', 'secondDoc', 'thirdDoc'];
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		multiPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			multipleCollections: true,
+			errorMode: 'throw',
+		});
+		singlePersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'single',
+			errorMode: 'throw',
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (multiPersistence) {
+			await multiPersistence.destroy();
+		}
+		if (singlePersistence) {
+			await singlePersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	it('should copy the documents from multiple collections into one collection', async () => {
+		await Promise.all(
+			docNames.map((docName) => storeDocWithText(multiPersistence, docName, docName)),
+		);
+		await multiPersistence.setMeta('firstDoc', 'owner', 'alice');
+		const progress = [];
+
+		const result = await multiPersistence.migrateLayout({
+			from: { multipleCollections: true },
+			to: { collectionName: 'single' },
+			onProgress: (event) => progress.push(event),
+		});
+
+		expect(result).toEqual({ total: 3, migrated: 3, skipped: 0, failed: [] });
+		expect(progress.map(({ done, total }) => `${done}/${total}`)).toEqual(['1/3', '2/3', '3/3']);
+		expect((await singlePersistence.getAllDocNames()).sort()).toEqual([...docNames].sort());
+		const ydoc = await singlePersistence.getYDoc('secondDoc');
+		expect(ydoc.getText('name').toString()).toEqual('secondDoc');
+		expect(await singlePersistence.getMeta('firstDoc', 'owner')).toEqual('alice');
+		// the source is kept
+		const sourceYdoc = await multiPersistence.getYDoc('secondDoc');
+		expect(sourceYdoc.getText('name').toString()).toEqual('secondDoc');
+	});
+
+	it('should skip the documents that were migrated before', async () => {
+		await storeDocWithText(multiPersistence, 'fourthDoc', 'fourth');
+
+		const result = await multiPersistence.migrateLayout({
+			from: { multipleCollections: true },
+			to: { collectionName: 'single' },
+		});
+
+		expect(result).toEqual({ total: 4, migrated: 1, skipped: 3, failed: [] });
+		const ydoc = await singlePersistence.getYDoc('fourthDoc');
+		expect(ydoc.getText('name').toString()).toEqual('fourth');
+	});
+
+	it('should continue the clocks of the migrated documents', async () => {
+		const ydoc = await singlePersistence.getYDoc('firstDoc');
+		const stateVector = Y.encodeStateVector(ydoc);
+		ydoc.getText('name').insert(8, ' again');
+		const update = Y.encodeStateAsUpdate(ydoc, stateVector);
+		const clock = await singlePersistence.storeUpdate('firstDoc', update);
+
+		expect(clock).toBeGreaterThan(0);
+		const storedYdoc = await singlePersistence.getYDoc('firstDoc');
+		expect(storedYdoc.getText('name').toString()).toEqual('firstDoc again');
+	});
+
+	it('should copy the documents back into multiple collections', async () => {
+		const result = await singlePersistence.migrateLayout({
+			from: { collectionName: 'single' },
+			to: {
+				collectionName: 'back',
+				multipleCollections: true,
+				collectionResolver: encodedCollectionResolver({ prefix: 'back-' }),
+			},
+		});
+
+		expect(result.migrated).toEqual(4);
+		const updates = await mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection('back-firstDoc')
+			.countDocuments({ docName: 'firstDoc', action: 'update' });
+		expect(updates).toEqual(2);
+	});
+});
+
+describe('layout migration with GridFS', () => {
+	let mongoServer;
+	let persistence;
+	let mongoConnection;
+	const largeContent = 'x'.repeat(2000);
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		persistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'source',
+			gridFS: { bucketName: 'files', threshold: 1000 },
+			errorMode: 'throw',
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (persistence) {
+			await persistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	it('should copy the files, so the target keeps them when the source is cleared', async () => {
+		await storeDocWithText(persistence, 'largeDoc', largeContent);
+
+		const result = await persistence.migrateLayout({
+			from: { collectionName: 'source' },
+			to: { collectionName: 'target' },
+		});
+		expect(result.migrated).toEqual(1);
+		const files = mongoConnection.db(mongoServer.instanceInfo.dbName).collection('files.files');
+		expect(await files.countDocuments()).toEqual(2);
+
+		await persistence.clearDocument('largeDoc');
+		expect(await files.countDocuments()).toEqual(1);
+
+		const target = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'target',
+			gridFS: { bucketName: 'files', threshold: 1000 },
+			errorMode: 'throw',
+		});
+		try {
+			const ydoc = await target.getYDoc('largeDoc');
+			expect(ydoc.getText('name').toString()).toEqual(largeContent);
+		} finally {
+			await target.destroy();
+		}
+	});
+});
+
+describe('backup and restore', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let restoredPersistence;
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'source',
+			errorMode: 'throw',
+		});
+		// restored into another layout
+		restoredPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName: 'restored',
+			multipleCollections: true,
+			errorMode: 'throw',
+		});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (restoredPersistence) {
+			await restoredPersistence.destroy();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	// collects the archive in a string
+	const exportToString = async (persistence, opts) => {
+		const stream = new PassThrough();
+		let archive = '';
+		stream.on('data', (chunk) => {
+			archive += chunk;
+		});
+		const manifest = await persistence.exportAll(stream, opts);
+		return { archive, manifest };
+	};
+
+	const exportedDocNames = (archive) =>
+		archive
+			.split('\n')
+			.filter(Boolean)
+			.map((line) => JSON.parse(line))
+			.filter((line) => line.type === 'document')
+			.map((line) => line.docName);
+
+	it('should restore the documents and their meta values', async () => {
+		await storeDocWithText(mongodbPersistence, 'team/first', 'first');
+		await storeDocWithText(mongodbPersistence, 'team/second', 'second');
+		await storeDocWithText(mongodbPersistence, 'other', 'other');
+		await mongodbPersistence.setMeta('team/first', 'created', new Date(0));
+
+		const { archive } = await exportToString(mongodbPersistence);
+		const result = await restoredPersistence.importAll(Readable.from([archive]));
+
+		expect(result).toEqual({ imported: 3, skipped: 0, failed: [] });
+		const ydoc = await restoredPersistence.getYDoc('team/second');
+		expect(ydoc.getText('name').toString()).toEqual('second');
+		expect(await restoredPersistence.getMeta('team/first', 'created')).toEqual(new Date(0));
+	});
+
+	it('should filter the documents by prefix', async () => {
+		const { archive } = await exportToString(mongodbPersistence, { prefix: 'team/' });
+
+		expect(exportedDocNames(archive)).toEqual(['team/first', 'team/second']);
+	});
+
+	it('should only export the changed documents since the last export', async () => {
+		const { manifest } = await exportToString(mongodbPersistence);
+		await storeDocWithText(mongodbPersistence, 'team/first', ' changed');
+
+		const { archive } = await exportToString(mongodbPersistence, { since: manifest });
+
+		expect(exportedDocNames(archive)).toEqual(['team/first']);
+	});
+
+	it('should not import documents with a wrong checksum', async () => {
+		const { archive } = await exportToString(mongodbPersistence, { prefix: 'other' });
+		const tampered = archive.replace('"docName":"other"', '"docName":"tampered"');
+
+		const result = await restoredPersistence.importAll(Readable.from([tampered]));
+
+		expect(result).toEqual({ imported: 0, skipped: 0, failed: ['tampered'] });
+	});
+
+	it('should reject incomplete archives', async () => {
+		const { archive } = await exportToString(mongodbPersistence, { prefix: 'other' });
+		const truncated = archive.split('\n').slice(0, 1).join('\n');
+
+		await expect(restoredPersistence.importAll(Readable.from([truncated]))).rejects.toThrow(
+			PersistenceError,
+		);
+	});
+});
+
+describe('json projection', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			projection: { types: { meta: 'Map', body: 'Text' }, debounceMs: 50 },
+			errorMode: 'throw',
+		});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const storeDocument = async (docName, title, body) => {
+		const ydoc = new Y.Doc();
+		ydoc.getMap('meta').set('title', title);
+		ydoc.getText('body').insert(0, body);
+		// not projected
+		ydoc.getArray('comments').push(['ignored']);
+		await mongodbPersistence.storeUpdate(docName, Y.encodeStateAsUpdate(ydoc));
+	};
+
+	it('should reject invalid projection options', () => {
+		expect(
+			() =>
+				new MongodbPersistence(mongoServer.getUri(), {
+					projection: { types: { meta: 'Object' } },
+				}),
+		).toThrow('"projection"');
+		expect(
+			() =>
+				new MongodbPersistence(mongoServer.getUri(), {
+					projection: { types: { meta: 'Map' } },
+					encryption: { keyProvider: () => ({ keyId: 'key', key: new Uint8Array(32) }) },
+				}),
+		).toThrow('"encryption"');
+	});
+
+	it('should project the chosen types after the debounce time', async () => {
+		const projected = new Promise((resolve) => {
+			mongodbPersistence.once('document:projected', resolve);
+		});
+
+		await storeDocument('recipe', 'Pancakes', 'Mix flour, eggs and milk');
+
+		expect(await projected).toMatchObject({ docName: 'recipe', clock: 0 });
+		const [doc] = await mongodbPersistence.findDocuments({ 'content.meta.title': 'Pancakes' });
+		expect(doc).toMatchObject({
+			docName: 'recipe',
+			content: { meta: { title: 'Pancakes' }, body: 'Mix flour, eggs and milk' },
+			clock: 0,
+		});
+		expect(doc.content.comments).toBeUndefined();
+	});
+
+	it('should find documents by their text', async () => {
+		await storeDocument('travel', 'Packing list', 'Passport, tickets and sunscreen');
+		await mongodbPersistence.flushPending();
+
+		const docs = await mongodbPersistence.findDocuments({ $text: { $search: 'sunscreen' } });
+
+		expect(docs.map((doc) => doc.docName)).toEqual(['travel']);
+	});
+
+	it('should update the projection after flushes', async () => {
+		const ydoc = await mongodbPersistence.getYDoc('recipe');
+		ydoc.on('update', (update) => mongodbPersistence.storeUpdate('recipe', update));
+		ydoc.getMap('meta').set('title', 'Crepes');
+		await mongodbPersistence.flushDocument('recipe');
+		await mongodbPersistence.flushPending();
+
+		const docs = await mongodbPersistence.findDocuments({}, { limit: 1 });
+
+		expect(docs).toMatchObject([{ docName: 'recipe', content: { meta: { title: 'Crepes' } } }]);
+	});
+
+	it('should remove the projection of cleared documents', async () => {
+		await storeDocument('draft', 'Draft', 'Nothing yet');
+		// the scheduled projection must not bring the document back
+		await mongodbPersistence.clearDocument('draft');
+		await mongodbPersistence.flushPending();
+		expect(await mongodbPersistence.findDocuments({ _id: 'draft' })).toEqual([]);
+
+		await mongodbPersistence.clearDocument('travel');
+		expect(await mongodbPersistence.findDocuments({ _id: 'travel' })).toEqual([]);
+	});
+
+	it('should not list the projection collection as a document', async () => {
+		const persistence = new MongodbPersistence(mongoServer.getUri(), {
+			multipleCollections: true,
+			projection: { types: { body: 'Text' } },
+		});
+		await persistence.storeUpdate('notes', Y.encodeStateAsUpdate(new Y.Doc()));
+		await persistence.flushPending();
+
+		expect(await persistence.getAllDocNames()).not.toContain('yjs-writings-projection');
+		await persistence.destroy();
+	});
+
+	it('should require the projection option for findDocuments', async () => {
+		const persistence = new MongodbPersistence(mongoServer.getUri(), { errorMode: 'throw' });
+
+		await expect(persistence.findDocuments({})).rejects.toThrow('"projection"');
+		await persistence.destroy();
+	});
+});
+
+describe('background compaction', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			errorMode: 'throw',
+		});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const storeUpdates = async (docName, count) => {
+		const ydoc = new Y.Doc();
+		const updates = [];
+		ydoc.on('update', (update) => updates.push(update));
+		for (let i = 0; i < count; i++) {
+			ydoc.getArray('list').push([i]);
+		}
+		await mongodbPersistence.storeUpdates({ [docName]: updates });
+	};
+
+	it('should reject invalid options', () => {
+		expect(() => mongodbPersistence.startCompaction({ concurrency: 0 })).toThrow('concurrency');
+	});
+
+	it('should flush the documents with many updates', async () => {
+		await storeUpdates('busyDoc', 20);
+		await storeUpdates('quietDoc', 3);
+
+		const result = await mongodbPersistence.compactDocuments({ minUpdates: 10 });
+
+		expect(result.compacted).toEqual([
+			{ docName: 'busyDoc', updates: 20, bytes: expect.any(Number) },
+		]);
+		expect(result.failed).toEqual([]);
+		expect(await mongodbPersistence.getDocumentStats('busyDoc')).toMatchObject({ updates: 1 });
+		expect(await mongodbPersistence.getDocumentStats('quietDoc')).toMatchObject({ updates: 3 });
+		const ydoc = await mongodbPersistence.getYDoc('busyDoc');
+		expect(ydoc.getArray('list').length).toEqual(20);
+	});
+
+	it('should flush large documents with minBytes', async () => {
+		const result = await mongodbPersistence.compactDocuments({ minUpdates: 100, minBytes: 1 });
+
+		expect(result.compacted.map(({ docName }) => docName)).toEqual(['quietDoc']);
+	});
+
+	it('should compact in the background until it is stopped', async () => {
+		await storeUpdates('backgroundDoc', 5);
+		const completed = new Promise((resolve) => {
+			mongodbPersistence.once('compaction:completed', resolve);
+		});
+		const flushed = [];
+		const onFlushed = ({ docName, trigger }) => flushed.push({ docName, trigger });
+		mongodbPersistence.on('document:flushed', onFlushed);
+
+		const stop = mongodbPersistence.startCompaction({ intervalMs: 10, minUpdates: 2 });
+		expect(() => mongodbPersistence.startCompaction()).toThrow('already running');
+
+		expect((await completed).compacted).toMatchObject([{ docName: 'backgroundDoc', updates: 5 }]);
+		await stop();
+		mongodbPersistence.off('document:flushed', onFlushed);
+		expect(flushed).toEqual([{ docName: 'backgroundDoc', trigger: 'compaction' }]);
+	});
+
+	it('should stop the compaction in destroy', async () => {
+		const persistence = new MongodbPersistence(mongoServer.getUri(), { collectionName });
+		const runs = [];
+		persistence.on('compaction:completed', (result) => runs.push(result));
+		persistence.startCompaction({ intervalMs: 10 });
+		await new Promise((resolve) => {
+			setTimeout(resolve, 100);
+		});
+
+		await persistence.destroy();
+		const count = runs.length;
+		await new Promise((resolve) => {
+			setTimeout(resolve, 100);
+		});
+
+		expect(count).toBeGreaterThan(0);
+		expect(runs.length).toEqual(count);
+	});
+});
+
+describe('document stats', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			errorMode: 'throw',
+		});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const createUpdate = (text) => {
+		const ydoc = new Y.Doc();
+		ydoc.getText('content').insert(0, text);
+		return Y.encodeStateAsUpdate(ydoc);
+	};
+
+	it('should track the timestamps and the size of a document', async () => {
+		const start = new Date();
+		const first = createUpdate('first');
+		const second = createUpdate('second');
+		await mongodbPersistence.storeUpdate('statsDoc', first);
+		await mongodbPersistence.storeUpdate('statsDoc', second);
+
+		const stats = await mongodbPersistence.getDocumentStats('statsDoc');
+
+		expect(stats).toMatchObject({
+			updates: 2,
+			parts: 2,
+			clock: 1,
+			size: first.length + second.length,
+			flushedAt: null,
+		});
+		expect(stats.bytes).toBeGreaterThan(0);
+		expect(stats.createdAt.getTime()).toBeGreaterThanOrEqual(start.getTime() - 1000);
+		expect(stats.updatedAt.getTime()).toBeGreaterThanOrEqual(stats.createdAt.getTime());
+	});
+
+	it('should record flushes without changing the last-modified time', async () => {
+		const before = await mongodbPersistence.getDocumentStats('statsDoc');
+
+		await mongodbPersistence.flushDocument('statsDoc');
+
+		const after = await mongodbPersistence.getDocumentStats('statsDoc');
+		const [merged] = await mongodbPersistence.getAllUpdates('statsDoc');
+		expect(after).toMatchObject({ updates: 1, size: merged.length, updatedAt: before.updatedAt });
+		expect(after.flushedAt).toBeInstanceOf(Date);
+		expect(after.createdAt).toEqual(before.createdAt);
+	});
+
+	it('should track the documents of bulk writes', async () => {
+		const update = createUpdate('bulk');
+		await mongodbPersistence.storeUpdates({ bulkDoc: [update, update] });
+
+		expect(await mongodbPersistence.getDocumentStats('bulkDoc')).toMatchObject({
+			updates: 2,
+			size: update.length * 2,
+		});
+	});
+
+	it('should list the documents', async () => {
+		const modifiedSince = new Date();
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10);
+		});
+		await mongodbPersistence.storeUpdate('largeDoc', createUpdate('x'.repeat(1000)));
+
+		const recent = await mongodbPersistence.listDocuments({ modifiedSince });
+		expect(recent).toEqual([
+			{
+				docName: 'largeDoc',
+				clock: 0,
+				size: expect.any(Number),
+				createdAt: expect.any(Date),
+				updatedAt: expect.any(Date),
+				flushedAt: null,
+			},
+		]);
+
+		const bySize = await mongodbPersistence.listDocuments({ sortBy: 'size', limit: 1 });
+		expect(bySize.map(({ docName }) => docName)).toEqual(['largeDoc']);
+		const byName = await mongodbPersistence.listDocuments({ sortBy: 'docName' });
+		expect(byName.map(({ docName }) => docName)).toEqual(['bulkDoc', 'largeDoc', 'statsDoc']);
+		const byUpdate = await mongodbPersistence.listDocuments();
+		expect(byUpdate[0].docName).toEqual('largeDoc');
+	});
+
+	it('should reject invalid options of listDocuments', async () => {
+		await expect(mongodbPersistence.listDocuments({ sortBy: 'clock' })).rejects.toThrow(
+			'listDocuments',
+		);
+	});
+
+	it('should remove the stats with the document', async () => {
+		await mongodbPersistence.clearDocument('largeDoc');
+
+		expect(await mongodbPersistence.getDocumentStats('largeDoc')).toMatchObject({
+			updates: 0,
+			size: null,
+			updatedAt: null,
+		});
+	});
+});
+
+describe('update log', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let mongoConnection;
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), {
+			collectionName,
+			errorMode: 'throw',
+			historyRetention: true,
+		});
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const ydoc = new Y.Doc();
+	const text = ydoc.getText('content');
+	const captureUpdate = (change) => {
+		let captured;
+		const onUpdate = (update) => {
+			captured = update;
+		};
+		ydoc.on('update', onUpdate);
+		change();
+		ydoc.off('update', onUpdate);
+		return captured;
+	};
+
+	it('should store the context with the update', async () => {
+		const update = captureUpdate(() => text.insert(0, 'hello'));
+
+		const clock = await mongodbPersistence.storeUpdate('logDoc', update, {
+			author: 'alice',
+			origin: 'editor',
+			tags: ['draft'],
+		});
+
+		expect(clock).toEqual(0);
+		const db = mongoConnection.db(mongoServer.instanceInfo.dbName);
+		const record = await db.collection(collectionName).findOne({ docName: 'logDoc', clock: 0 });
+		expect(record).toMatchObject({ author: 'alice', origin: 'editor', tags: ['draft'] });
+	});
+
+	it('should summarize the updates in the log', async () => {
+		await mongodbPersistence.storeUpdate(
+			'logDoc',
+			captureUpdate(() => text.delete(0, 2)),
+			{ author: 'bob' },
+		);
+		// updates without a context arent logged
+		await mongodbPersistence.storeUpdate(
+			'logDoc',
+			captureUpdate(() => text.insert(0, 'x')),
+		);
+
+		const log = await mongodbPersistence.getUpdateLog('logDoc');
+
+		expect(log).toEqual([
+			{
+				clock: 0,
+				author: 'alice',
+				origin: 'editor',
+				tags: ['draft'],
+				createdAt: expect.any(Date),
+				summary: [{ client: ydoc.clientID, inserted: 5, deleted: 0 }],
+			},
+			{
+				clock: 1,
+				author: 'bob',
+				origin: null,
+				tags: [],
+				createdAt: expect.any(Date),
+				summary: [{ client: ydoc.clientID, inserted: 0, deleted: 2 }],
+			},
+		]);
+	});
+
+	it('should filter the log', async () => {
+		const byAuthor = await mongodbPersistence.getUpdateLog('logDoc', { author: 'bob' });
+		expect(byAuthor.map(({ clock }) => clock)).toEqual([1]);
+
+		const byClock = await mongodbPersistence.getUpdateLog('logDoc', { from: 1, to: 5 });
+		expect(byClock.map(({ clock }) => clock)).toEqual([1]);
+
+		const [first, second] = await mongodbPersistence.getUpdateLog('logDoc');
+		const byDate = await mongodbPersistence.getUpdateLog('logDoc', {
+			from: first.createdAt,
+			to: second.createdAt,
+		});
+		expect(byDate).toHaveLength(2);
+		expect(await mongodbPersistence.getUpdateLog('logDoc', { to: new Date(0) })).toEqual([]);
+	});
+
+	it('should keep the log and the context when the document is flushed', async () => {
+		await mongodbPersistence.flushDocument('logDoc');
+
+		expect(await mongodbPersistence.getUpdateLog('logDoc')).toHaveLength(2);
+		const db = mongoConnection.db(mongoServer.instanceInfo.dbName);
+		const archived = await db
+			.collection(`${collectionName}-history`)
+			.findOne({ docName: 'logDoc', clock: 1 });
+		expect(archived).toMatchObject({ author: 'bob' });
+	});
+
+	it('should reject an invalid context', async () => {
+		const update = captureUpdate(() => text.insert(0, 'y'));
+
+		await expect(
+			mongodbPersistence.storeUpdate('logDoc', update, { tags: 'draft' }),
+		).rejects.toThrow('context');
+		expect(await mongodbPersistence.getUpdateLog('logDoc')).toHaveLength(2);
+	});
+
+	it('should remove the log with the document', async () => {
+		await mongodbPersistence.clearDocument('logDoc');
+
+		expect(await mongodbPersistence.getUpdateLog('logDoc')).toEqual([]);
+	});
+});
@@ -0,0 +1,126 @@
+const Y = require('yjs');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+// I ignore it here because if you run "npm run test" it first builds the project and then runs the tests.
+// eslint-disable-next-line import/no-unresolved
+const {
+	MongodbPersistence,
+	PersistenceError,
+	createYWebsocketPersistence,
+} = require('../dist/y-mongodb.cjs');
+
+// the parts of y-websocket's WSSharedDoc that are used by the persistence
+class FakeWSSharedDoc extends Y.Doc {
+	constructor(name) {
+		super();
+		this.name = name;
+		this.conns = new Map();
+	}
+}
+
+describe('y-websocket persistence', () => {
+	let mongoServer;
+	let mongodbPersistence;
+	let mongoConnection;
+	let persistence;
+	const docName = 'testDoc';
+	const collectionName = 'testCollection';
+
+	beforeAll(async () => {
+		mongoServer = await MongoMemoryServer.create();
+		mongodbPersistence = new MongodbPersistence(mongoServer.getUri(), { collectionName });
+		persistence = createYWebsocketPersistence(mongodbPersistence);
+		mongoConnection = await MongoClient.connect(mongoServer.getUri(), {});
+	});
+
+	afterAll(async () => {
+		if (mongodbPersistence) {
+			await mongodbPersistence.destroy();
+		}
+		if (mongoConnection) {
+			await mongoConnection.close();
+		}
+		if (mongoServer) {
+			await mongoServer.stop();
+		}
+	});
+
+	const countUpdates = () =>
+		mongoConnection
+			.db(mongoServer.instanceInfo.dbName)
+			.collection(collectionName)
+			.countDocuments({ docName, action: 'update' });
+
+	it('should store the updates of a bound document', async () => {
+		const ydoc = new FakeWSSharedDoc(docName);
+		await persistence.bindState(docName, ydoc);
+		// nothing to store for a new, empty document
+		expect(await countUpdates()).toEqual(0);
+
+		ydoc.getText('name').insert(0, 'hello');
+		ydoc.getText('name').insert(5, ' world');
+		await persistence.writeState(docName, ydoc);
+		ydoc.destroy();
+
+		// writeState waited for both updates and merged them
+		expect(await countUpdates()).toEqual(1);
+	});
+
+	it('should load the stored document without storing it again', async () => {
+		const ydoc = new FakeWSSharedDoc(docName);
+		await persistence.bindState(docName, ydoc);
+		expect(ydoc.getText('name').toString()).toEqual('hello world');
+		expect(await countUpdates()).toEqual(1);
+		await persistence.writeState(docName, ydoc);
+		ydoc.destroy();
+	});
+
+	it('should only store the changes that happened while the document was loaded', async () => {
+		const ydoc = new FakeWSSharedDoc(docName);
+		const binding = persistence.bindState(docName, ydoc);
+		ydoc.getText('other').insert(0, 'early');
+		await binding;
+		expect(await countUpdates()).toEqual(2);
+
+		await persistence.writeState(docName, ydoc);
+		ydoc.destroy();
+
+		const storedYdoc = await mongodbPersistence.getYDoc(docName);
+		expect(storedYdoc.getText('name').toString()).toEqual('hello world');
+		expect(storedYdoc.getText('other').toString()).toEqual('early');
+	});
+
+	it('should not flush in writeState if disabled', async () => {
+		const noFlushPersistence = createYWebsocketPersistence(mongodbPersistence, {
+			flushOnWriteState: false,
+		});
+		const ydoc = new FakeWSSharedDoc(docName);
+		await noFlushPersistence.bindState(docName, ydoc);
+		ydoc.getText('name').insert(0, '!');
+		await noFlushPersistence.writeState(docName, ydoc);
+		ydoc.destroy();
+		expect(await countUpdates()).toEqual(2);
+	});
+});
+
+describe('y-websocket persistence with a failed load', () => {
+	it('should reject bindState if the document couldnt be loaded', async () => {
+		const stored = [];
+		// getYDoc resolves with null if it fails with errorMode "warn"
+		const persistence = createYWebsocketPersistence({
+			getYDoc: async () => null,
+			storeUpdate: async (docName, update) => {
+				stored.push(update);
+			},
+			flushDocument: async () => {},
+		});
+		const ydoc = new FakeWSSharedDoc('failedDoc');
+
+		await expect(persistence.bindState('failedDoc', ydoc)).rejects.toThrow(PersistenceError);
+		ydoc.getText('name').insert(0, 'hello');
+		// the document isnt bound, so nothing is stored
+		await persistence.writeState('failedDoc', ydoc);
+		expect(stored).toEqual([]);
+		ydoc.destroy();
+	});
+});